@@ -6,352 +6,1840 @@
 // Blog configuration
 const BLOG_CONFIG = {
     postsDirectory: 'posts/',
+    manifestFile: 'manifest.json',
+    searchIndexFile: 'search-index.json',
     postsPerPage: 10,
-    excerptLength: 200
+    paginationSiblings: 1, // Page numbers shown on each side of the current one
+    postConcurrency: 4, // Posts fetched at once when indexing them in the browser
+    tocMinDepth: 2,
+    tocMaxDepth: 3,
+    scrollOffset: 120, // Fixed navbar height plus some breathing room
+    offlineCache: 'offline-saved-posts' // SAVED_CACHE in sw.js
 };
 
 // Store for blog data
 let blogPosts = [];
 let filteredPosts = [];
 let currentPage = 1;
+let searchIndex = null;
+let searchMatches = new Map(); // slug -> search result of the current query
+let failedPosts = new Map(); // slug -> error of listed posts whose README.md could not be loaded
+let activeQuery = { alternatives: [], errors: [] }; // parseSearchQuery result
+let tagMatchMode = 'all'; // How a newly selected tag combines: 'all' or 'any'
+let listingView = 'posts'; // 'posts' (paginated cards) or 'archive'
+let listingReady = false; // Set once initBlog has applied the URL state
+let blogRouter = null; // createRouter() result on the listing page
+let listingMeta = null; // Title and meta tags of the listing, restored after a post
+let tocScrollSpy = null; // Scroll listener of the table of contents
+let readingProgressListener = null; // Scroll and resize listener of the reading progress bar
+
+// Views of the listing page, matched against the path below the blog
+// directory. Other pages there (the feeds, tag pages) load as usual.
+const BLOG_ROUTES = [
+    { name: 'listing', pattern: /^(?:index\.html)?$/ },
+    { name: 'post', pattern: /^(?!index\.html$)(?<slug>[a-z0-9][a-z0-9_-]*)\.html$/i }
+];
+
+// Query parameters that hold the listing state
+const LISTING_PARAMETERS = ['q', 'tag', 'category', 'year', 'month', 'view', 'page'];
 
 // Initialize blog functionality when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     if (isBlogPage()) {
         initBlog();
+    } else if (isPostPage()) {
+        initPostPage();
+    }
+});
+
+/**
+ * Check if current page is the blog listing page
+ * @returns {boolean}
+ */
+function isBlogPage() {
+    return document.querySelector('.blog-posts') !== null;
+}
+
+/**
+ * Check if current page is a post page
+ * @returns {boolean}
+ */
+function isPostPage() {
+    return document.getElementById('post-content') !== null;
+}
+
+/**
+ * Initialize blog functionality
+ */
+async function initBlog() {
+    try {
+        showLoading();
+        await Promise.all([loadBlogPosts(), loadSearchIndex()]);
+        if (!searchIndex) {
+            indexPostsInBrowser().catch(error => console.error('Error indexing posts in the browser:', error));
+        }
+        initSearchAndFilter();
+        initTagFilters();
+        initArchive();
+        initPagination();
+        initSaveForOffline();
+        
+        // The listing and the posts are views of this page: deep links such
+        // as ?tag=career, ?q=css&page=2 or my-post.html render in place
+        listingMeta = readPageMeta();
+        blogRouter = createRouter({
+            base: new URL('./', window.location.href).href,
+            routes: BLOG_ROUTES,
+            onRoute: handleBlogRoute
+        });
+        await blogRouter.start();
+        
+        renderSidebar();
+        hideLoading();
+        listingReady = true;
+    } catch (error) {
+        console.error('Error initializing blog:', error);
+        showError('Failed to load blog posts. Please try again later.');
+    }
+}
+
+/**
+ * Load the post list from the manifest built by scripts/build-manifest.js
+ * The manifest carries every post's metadata, so the listing renders
+ * without fetching each README.md. A cached manifest renders at once; a
+ * newer one found in the background redraws the listing.
+ */
+async function loadBlogPosts() {
+    const manifest = await loadCachedResource(`${BLOG_CONFIG.postsDirectory}${BLOG_CONFIG.manifestFile}`, {
+        name: 'manifest',
+        onUpdate: updated => {
+            setBlogPosts(JSON.parse(updated.text));
+            refreshListing();
+        }
+    });
+    
+    setBlogPosts(JSON.parse(manifest.text));
+}
+
+/**
+ * Replace the post list
+ * @param {Object} manifest - Parsed manifest
+ */
+function setBlogPosts(manifest) {
+    // Sort posts by date (newest first)
+    blogPosts = manifest.posts.slice().sort((a, b) => new Date(b.date) - new Date(a.date));
+    filteredPosts = [...blogPosts];
+}
+
+/**
+ * Load the full-text search index built by scripts/build-search-index.js
+ * Leaves searchIndex null when the file is missing or outdated, so the
+ * posts get indexed in the browser instead.
+ */
+async function loadSearchIndex() {
+    try {
+        const entry = await loadCachedResource(`${BLOG_CONFIG.postsDirectory}${BLOG_CONFIG.searchIndexFile}`, {
+            name: 'search-index',
+            onUpdate: updated => {
+                const index = JSON.parse(updated.text);
+                if (index.version === SEARCH_INDEX_VERSION) {
+                    searchIndex = index;
+                    refreshListing();
+                }
+            }
+        });
+        
+        const index = JSON.parse(entry.text);
+        if (index.version !== SEARCH_INDEX_VERSION) {
+            throw new Error(`Unsupported search index version ${index.version}`);
+        }
+        
+        searchIndex = index;
+    } catch (error) {
+        console.warn('Search index unavailable, indexing posts in the browser:', error);
+        searchIndex = null;
+    }
+}
+
+/**
+ * Index the posts in the browser when search-index.json is unavailable
+ * Search starts on the manifest's titles, tags and excerpts and gains the
+ * full text of each post as it arrives. Posts are fetched a few at a time;
+ * the ones that fail stay searchable by their summary and show as error
+ * cards in the listing once every request has settled.
+ */
+async function indexPostsInBrowser() {
+    const documents = new Map(blogPosts.map(post => [post.slug, createSearchDocument(post)]));
+    const rebuildIndex = () => {
+        searchIndex = buildSearchIndex(blogPosts.map(post => documents.get(post.slug)).filter(Boolean));
+    };
+    const refreshIndex = debounce(() => {
+        rebuildIndex();
+        refreshListing();
+    }, 200);
+    
+    rebuildIndex();
+    
+    await runWithConcurrency(blogPosts, BLOG_CONFIG.postConcurrency, async post => {
+        try {
+            const entry = await loadPostEntry(post.slug, { hash: post.hash });
+            const { content } = parseFrontmatter(entry.text);
+            documents.set(post.slug, createSearchDocument(post, content));
+            failedPosts.delete(post.slug);
+            refreshIndex();
+        } catch (error) {
+            console.error(`Error loading post ${post.slug}:`, error);
+            failedPosts.set(post.slug, error);
+        }
+    });
+    
+    if (failedPosts.size > 0) {
+        refreshListing();
+    }
+}
+
+/**
+ * Run an async task for every item, at most `limit` at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of tasks in flight
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+async function runWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Re-run the active query and redraw the listing after newer posts or a
+ * newer search index replaced the cached ones
+ */
+function refreshListing() {
+    if (!listingReady) return;
+    
+    const searchInput = document.getElementById('search-input');
+    applySearchQuery(searchInput ? searchInput.value : '');
+    renderBlogPosts();
+    renderSidebar();
+}
+
+/**
+ * Load individual blog post
+ * The markdown and the parsed post are cached; a cached post whose hash
+ * matches the manifest is used without a request.
+ * @param {string} slug - Post slug
+ * @param {Object} options - { hash, onUpdate }: hash is the content hash
+ *        from the manifest, onUpdate receives the post when a background
+ *        revalidation finds a newer version
+ * @returns {Object|null} - Post data object
+ */
+async function loadPost(slug, { hash = null, onUpdate = null } = {}) {
+    try {
+        const entry = await loadPostEntry(slug, {
+            hash,
+            onUpdate: onUpdate && (updated => onUpdate(updated.data))
+        });
+        return entry.data;
+    } catch (error) {
+        console.error(`Error loading post ${slug}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the cache entry of a post: its markdown as `text` and the parsed
+ * post as `data`
+ * @param {string} slug - Post slug
+ * @param {Object} options - { hash, onUpdate }, see loadCachedResource
+ * @returns {Promise<Object>} - Cache entry
+ * @throws {Error} - When the post cannot be loaded or parsed
+ */
+function loadPostEntry(slug, { hash = null, onUpdate = null } = {}) {
+    return loadCachedResource(`${BLOG_CONFIG.postsDirectory}${slug}/README.md`, {
+        name: `post:${slug}`,
+        parse: markdown => parseMarkdownPost(markdown, slug),
+        hash,
+        onUpdate
+    });
+}
+
+/**
+ * Initialize search and filter functionality
+ */
+function initSearchAndFilter() {
+    const searchInput = document.getElementById('search-input');
+    const searchChips = document.getElementById('search-chips');
+    
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce(function() {
+            filterPosts(searchInput.value);
+        }, 300));
+    }
+    
+    if (searchChips) {
+        searchChips.addEventListener('click', function(e) {
+            const button = e.target.closest('.search-chip-remove');
+            if (!button) return;
+            
+            removeSearchClause(parseInt(button.dataset.alternative, 10), parseInt(button.dataset.clause, 10));
+        });
+    }
+}
+
+/**
+ * Filter posts based on search query
+ * The query may use the syntax of parseSearchQuery (category:, tag:,
+ * before:/after:, "phrases", -exclusions and OR). Results are ranked by
+ * relevance and carry highlighted snippets. Typing replaces the current
+ * history entry rather than adding one per keystroke.
+ * @param {string} query - Search query
+ */
+function filterPosts(query) {
+    navigateListing({ query, page: 1 }, { replace: true });
+}
+
+/**
+ * Run a search query and update the filtered posts, chips and tag cloud
+ * without rendering the listing
+ * @param {string} query - Search query
+ */
+function applySearchQuery(query) {
+    activeQuery = parseSearchQuery(query);
+    searchMatches = new Map();
+    
+    if (activeQuery.alternatives.length === 0) {
+        filteredPosts = [...blogPosts];
+    } else {
+        const postsBySlug = new Map(blogPosts.map(post => [post.slug, post]));
+        const results = searchPosts(searchIndex, blogPosts, activeQuery);
+        
+        results.forEach(result => searchMatches.set(result.slug, result));
+        filteredPosts = results.map(result => postsBySlug.get(result.slug));
+    }
+    
+    // A query typed by hand sets the mode for the next selected tag
+    const tagClauses = activeQuery.alternatives.flat().filter(isTagFilter);
+    if (tagClauses.some(clause => splitFilterValues(clause.value).length > 1)) {
+        tagMatchMode = 'any';
+    } else if (tagClauses.length > 1) {
+        tagMatchMode = 'all';
+    }
+    
+    renderSearchChips();
+    renderTagCloud();
+    renderArchiveLinks();
+}
+
+/**
+ * Put a query into the search box and apply it, adding a history entry
+ * @param {string} query - Search query
+ */
+function setSearchQuery(query) {
+    navigateListing({ query, page: 1 });
+}
+
+/**
+ * Show the filters of the active query as removable chips
+ * Plain words stay in the search box only; filters, phrases and
+ * exclusions get a chip, with OR between the alternatives.
+ */
+function renderSearchChips() {
+    const searchChips = document.getElementById('search-chips');
+    if (!searchChips) return;
+    
+    const groups = activeQuery.alternatives.map((clauses, alternativeIndex) => clauses
+        .map((clause, clauseIndex) => ({ clause, alternativeIndex, clauseIndex }))
+        .filter(({ clause }) => clause.field !== 'text' || clause.negated)
+        .map(createSearchChip)
+        .join('')
+    ).filter(Boolean);
+    
+    searchChips.innerHTML = groups.join('<span class="search-chip-or">OR</span>');
+    searchChips.hidden = groups.length === 0;
+}
+
+/**
+ * Create HTML for a search filter chip
+ * @param {Object} chip - { clause, alternativeIndex, clauseIndex }
+ * @returns {string} - HTML string
+ */
+function createSearchChip({ clause, alternativeIndex, clauseIndex }) {
+    const label = escapeHtml(formatSearchClause(clause));
+    const classes = ['search-chip'];
+    if (clause.negated) classes.push('excluded');
+    if (clause.error) classes.push('invalid');
+    const title = clause.error ? ` title="${escapeHtml(clause.error)}"` : '';
+    
+    return `
+        <span class="${classes.join(' ')}"${title}>
+            <span class="search-chip-label">${label}</span>
+            <button type="button" class="search-chip-remove" data-alternative="${alternativeIndex}" data-clause="${clauseIndex}" aria-label="Remove filter ${label}">
+                <i class="fas fa-times"></i>
+            </button>
+        </span>
+    `;
+}
+
+/**
+ * Remove one clause from the active query and search again
+ * @param {number} alternativeIndex - Index of the OR alternative
+ * @param {number} clauseIndex - Index of the clause within it
+ */
+function removeSearchClause(alternativeIndex, clauseIndex) {
+    const alternatives = activeQuery.alternatives.map((clauses, index) => index === alternativeIndex
+        ? clauses.filter((clause, position) => position !== clauseIndex)
+        : clauses);
+    
+    setSearchQuery(stringifySearchQuery({ alternatives }));
+}
+
+/**
+ * Render blog posts
+ * The archive view lists every filtered post at once, without pages
+ */
+function renderBlogPosts() {
+    const postsGrid = document.getElementById('posts-grid');
+    if (!postsGrid) return;
+    
+    // Filters can shrink the list below a page taken from the URL
+    const totalPages = listingView === 'archive' ? 0 : Math.ceil(filteredPosts.length / BLOG_CONFIG.postsPerPage);
+    currentPage = Math.min(Math.max(currentPage, 1), Math.max(totalPages, 1));
+    replaceListingUrl();
+    renderPagination(totalPages);
+    renderListingViews();
+    
+    if (filteredPosts.length === 0) {
+        postsGrid.innerHTML = `
+            <div class="no-posts">
+                <i class="fas fa-search"></i>
+                <h3>No posts found</h3>
+                <p>Try adjusting your search terms or browse all posts.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    if (listingView === 'archive') {
+        postsGrid.innerHTML = createArchive(filteredPosts);
+        return;
+    }
+    
+    const startIndex = (currentPage - 1) * BLOG_CONFIG.postsPerPage;
+    const endIndex = startIndex + BLOG_CONFIG.postsPerPage;
+    const postsToShow = filteredPosts.slice(startIndex, endIndex);
+    
+    const postsHTML = postsToShow.map(post =>
+        failedPosts.has(post.slug) ? createPostErrorCard(post) : createPostCard(post)
+    ).join('');
+    postsGrid.innerHTML = postsHTML;
+}
+
+/**
+ * Handle clicks on the page links
+ */
+function initPagination() {
+    const pagination = document.getElementById('pagination');
+    
+    if (pagination) {
+        pagination.addEventListener('click', function(e) {
+            const link = e.target.closest('a[data-page]');
+            if (!link) return;
+            
+            e.preventDefault();
+            goToPage(parseInt(link.dataset.page, 10));
+        });
+    }
+}
+
+/**
+ * Render the page links below the listing
+ * @param {number} totalPages - Number of pages in the filtered listing
+ */
+function renderPagination(totalPages) {
+    const pagination = document.getElementById('pagination');
+    if (!pagination) return;
+    
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        pagination.hidden = true;
+        return;
+    }
+    
+    const pageLinks = getPaginationItems(currentPage, totalPages).map(page => {
+        if (page === null) {
+            return '<span class="pagination-ellipsis" aria-hidden="true">&hellip;</span>';
+        }
+        if (page === currentPage) {
+            return `<a href="${getListingUrl({ page })}" data-page="${page}" class="pagination-link active" aria-current="page">${page}</a>`;
+        }
+        return `<a href="${getListingUrl({ page })}" data-page="${page}" class="pagination-link" aria-label="Page ${page}">${page}</a>`;
+    }).join('');
+    
+    const previous = currentPage > 1
+        ? `<a href="${getListingUrl({ page: currentPage - 1 })}" data-page="${currentPage - 1}" class="pagination-link pagination-prev" rel="prev">
+                <i class="fas fa-chevron-left"></i> Previous
+            </a>`
+        : `<span class="pagination-link pagination-prev disabled" aria-disabled="true">
+                <i class="fas fa-chevron-left"></i> Previous
+            </span>`;
+    const next = currentPage < totalPages
+        ? `<a href="${getListingUrl({ page: currentPage + 1 })}" data-page="${currentPage + 1}" class="pagination-link pagination-next" rel="next">
+                Next <i class="fas fa-chevron-right"></i>
+            </a>`
+        : `<span class="pagination-link pagination-next disabled" aria-disabled="true">
+                Next <i class="fas fa-chevron-right"></i>
+            </span>`;
+    
+    pagination.innerHTML = `${previous}<div class="pagination-pages">${pageLinks}</div>${next}`;
+    pagination.hidden = false;
+}
+
+/**
+ * Pick the page numbers to link, with null marking a gap
+ * The first and last pages are always shown, plus the siblings of the
+ * current page; a gap of a single page shows that page instead.
+ * @param {number} page - Current page
+ * @param {number} totalPages - Number of pages
+ * @returns {Array<number|null>} - e.g. [1, null, 4, 5, 6, null, 12]
+ */
+function getPaginationItems(page, totalPages) {
+    const shown = [];
+    for (let number = 1; number <= totalPages; number++) {
+        if (number === 1 || number === totalPages ||
+            Math.abs(number - page) <= BLOG_CONFIG.paginationSiblings) {
+            shown.push(number);
+        }
+    }
+    
+    const items = [];
+    shown.forEach(number => {
+        const previous = items[items.length - 1];
+        if (previous && number - previous === 2) {
+            items.push(number - 1);
+        } else if (previous && number - previous > 2) {
+            items.push(null);
+        }
+        items.push(number);
+    });
+    
+    return items;
+}
+
+/**
+ * Show a page of the listing and add it to the history
+ * @param {number} page - Page number
+ */
+async function goToPage(page) {
+    if (page === currentPage) return;
+    
+    await navigateListing({ page });
+    
+    const postsGrid = document.getElementById('posts-grid');
+    if (postsGrid) {
+        window.scrollTo({
+            top: postsGrid.getBoundingClientRect().top + window.pageYOffset - BLOG_CONFIG.scrollOffset,
+            behavior: 'smooth'
+        });
+    }
+}
+
+/**
+ * Read the page number from the ?page= query parameter
+ * @returns {number} - Page number, 1 when missing or invalid
+ */
+function getPageFromUrl() {
+    const page = parseInt(getUrlParameters().page, 10);
+    return page > 0 ? page : 1;
+}
+
+/**
+ * Build the URL of a listing state, keeping unrelated query parameters
+ * A query made only of tag:, category: and archive date: filters becomes
+ * ?tag=, ?category=, ?year= and ?month=; any other query goes in ?q=.
+ * @param {Object} state - { query, page, view }; query is a parseSearchQuery
+ *        result, missing values are taken from the current listing
+ * @returns {string} - Relative URL; page 1 has no ?page= parameter
+ */
+function getListingUrl({ query = activeQuery, page = currentPage, view = listingView } = {}) {
+    const url = new URL(window.location.href);
+    LISTING_PARAMETERS.forEach(name => url.searchParams.delete(name));
+    
+    const filters = getFilterParameters(query);
+    if (filters) {
+        filters.forEach(([name, value]) => url.searchParams.append(name, value));
+    } else {
+        url.searchParams.set('q', stringifySearchQuery(query));
+    }
+    
+    if (view === 'archive') {
+        url.searchParams.set('view', 'archive');
+    }
+    if (page > 1) {
+        url.searchParams.set('page', page);
+    }
+    
+    return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Get the query parameters of a query made only of tag:, category: and
+ * archive date: filters
+ * Each tag or category value is one filter, so ?tag=a&tag=b needs both
+ * tags and ?tag=a,b either of them.
+ * @param {Object} parsedQuery - From parseSearchQuery
+ * @returns {Array<Array<string>>|null} - [name, value] pairs in query
+ *          order, null when the query needs ?q= instead
+ */
+function getFilterParameters(parsedQuery) {
+    if (parsedQuery.alternatives.length === 0) return [];
+    if (parsedQuery.alternatives.length > 1) return null;
+    
+    const clauses = parsedQuery.alternatives[0];
+    if (clauses.filter(isDateFilter).length > 1) return null;
+    
+    const parameters = [];
+    for (const clause of clauses) {
+        if (isTagFilter(clause) || isCategoryFilter(clause)) {
+            parameters.push([clause.field, clause.value]);
+        } else if (isDateFilter(clause) && clause.range && /^\d{4}(-\d{2})?$/.test(clause.value)) {
+            const [year, month] = clause.value.split('-');
+            parameters.push(['year', year]);
+            if (month) {
+                parameters.push(['month', month]);
+            }
+        } else {
+            return null;
+        }
+    }
+    
+    return parameters;
+}
+
+/**
+ * Make the address bar match the listing state without adding a history
+ * entry, e.g. after an out-of-range page was clamped
+ */
+function replaceListingUrl() {
+    // The listing also redraws behind a post, whose URL has to stay
+    const route = blogRouter && blogRouter.current();
+    if (route && route.name === 'post') return;
+    
+    const url = getListingUrl();
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+        history.replaceState({ ...history.state }, '', `${url}${window.location.hash}`);
+    }
+}
+
+/**
+ * Show a listing state through the router, so the address bar, the
+ * history and the page title follow
+ * @param {Object} state - { query, page, view }; query is query text,
+ *        missing values keep the current ones
+ * @param {Object} options - { replace }, see createRouter().navigate
+ * @returns {Promise} - Resolves once the listing has rendered
+ */
+function navigateListing({ query, page = currentPage, view = listingView }, options = {}) {
+    const parsedQuery = query === undefined ? activeQuery : parseSearchQuery(query);
+    return blogRouter.navigate(getListingUrl({ query: parsedQuery, page, view }), options);
+}
+
+/**
+ * Render the view of a route: a post, or the listing with the filters,
+ * page and view of its query string
+ * @param {Object|null} route - Route from blogRouter, null when the blog is
+ *        served from a URL the routes do not cover
+ * @param {string} action - 'load', 'push', 'replace' or 'pop'
+ * @returns {Promise|undefined} - Resolves once a post has rendered
+ */
+function handleBlogRoute(route, action) {
+    const isPost = Boolean(route && route.name === 'post');
+    
+    // A new view starts at the top; back/forward restore the old position
+    if (setBlogView(isPost ? 'post' : 'listing') && action === 'push') {
+        window.scrollTo(0, 0);
+    }
+    
+    if (isPost) {
+        return showPost(route.params.slug);
+    }
+    showListing();
+}
+
+/**
+ * Show the listing or the post view of the blog page
+ * @param {string} view - 'listing' or 'post'
+ * @returns {boolean} - Whether the view changed
+ */
+function setBlogView(view) {
+    const postView = document.getElementById('post-view');
+    if (!postView) return false;
+    
+    const isPost = view === 'post';
+    const changed = postView.hidden === isPost;
+    
+    postView.hidden = !isPost;
+    ['blog-header', 'blog-posts'].forEach(id => {
+        const section = document.getElementById(id);
+        if (section) {
+            section.hidden = isPost;
+        }
+    });
+    
+    return changed;
+}
+
+/**
+ * Render the listing for the query string of the address bar
+ */
+function showListing() {
+    const query = getQueryFromUrl();
+    
+    // Keep what the reader is typing when it means the same query, e.g.
+    // with a trailing space
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && stringifySearchQuery(parseSearchQuery(searchInput.value)) !== stringifySearchQuery(parseSearchQuery(query))) {
+        searchInput.value = query;
+    }
+    
+    applySearchQuery(query);
+    currentPage = getPageFromUrl();
+    listingView = getViewFromUrl();
+    renderBlogPosts();
+    
+    applyPageMeta({ ...listingMeta, title: getListingTitle() });
+    removeNoIndex();
+    
+    // The post view is hidden, so its scroll listeners have nothing to track
+    tocScrollSpy = replaceWindowListener(tocScrollSpy, ['scroll'], null);
+    readingProgressListener = replaceWindowListener(readingProgressListener, ['scroll', 'resize'], null);
+}
+
+/**
+ * Get the page title of the listing state
+ * @returns {string} - e.g. "Tagged css - Page 2 - Blog - Your Name"
+ */
+function getListingTitle() {
+    const parts = [];
+    const filters = getFilterParameters(activeQuery);
+    
+    if (!filters) {
+        parts.push(`Search: ${stringifySearchQuery(activeQuery)}`);
+    } else if (filters.length > 0) {
+        parts.push(activeQuery.alternatives[0].map(clause => {
+            if (clause.field === 'tag') return `Tagged ${clause.value}`;
+            if (clause.field === 'date' && clause.value.length > 4) {
+                return `${formatMonthName(clause.value)} ${clause.value.slice(0, 4)}`;
+            }
+            return clause.value;
+        }).join(', '));
+    }
+    
+    if (listingView === 'archive') {
+        parts.push('Archive');
+    } else if (currentPage > 1) {
+        parts.push(`Page ${currentPage}`);
+    }
+    
+    return [...parts, listingMeta.title].join(' - ');
+}
+
+/**
+ * Render a post in the post view of the blog page
+ * The title comes from the manifest at once, the rest once the post has
+ * loaded.
+ * @param {string} slug - Post slug
+ * @returns {Promise} - Resolves once the post has rendered
+ */
+function showPost(slug) {
+    const postContent = document.getElementById('post-content');
+    const post = blogPosts.find(item => item.slug === slug);
+    
+    postContent.dataset.slug = slug;
+    postContent.innerHTML = `
+        <div class="loading">
+            <i class="fas fa-spinner fa-spin"></i>
+            <p>Loading post content...</p>
+        </div>
+    `;
+    document.getElementById('post-header').hidden = true;
+    document.getElementById('post-series').innerHTML = '';
+    document.getElementById('post-adjacent').innerHTML = '';
+    document.getElementById('related-posts').hidden = true;
+    document.getElementById('reading-progress').hidden = true;
+    renderTableOfContents([]);
+    
+    document.title = formatPageTitle(post ? post.title : 'Blog');
+    updateSaveForOffline(slug);
+    
+    return loadPostContent(slug);
+}
+
+/**
+ * Create HTML for a blog post card
+ * @param {Object} post - Post data
+ * @param {Object} options - { highlight }: whether to mark the matches and
+ *        selected tags of the active search (default true)
+ * @returns {string} - HTML string
+ */
+function createPostCard(post, { highlight = true } = {}) {
+    const match = highlight ? searchMatches.get(post.slug) : null;
+    const formattedDate = formatDate(post.date);
+    const selectedTags = highlight ? getSelectedTags() : new Set();
+    const tagsHTML = post.tags.map(tag => {
+        const slug = generateHeaderId(tag);
+        const active = selectedTags.has(slug) ? ' active' : '';
+        return `<a href="./?tag=${encodeURIComponent(slug)}" data-tag="${escapeHtml(slug)}" class="post-tag${active}">${escapeHtml(tag)}</a>`;
+    }).join('');
+    const postUrl = `${encodeURIComponent(post.slug)}.html`;
+    
+    return `
+        <article class="post-card">
+            <div class="post-meta">
+                <span class="post-category">${escapeHtml(post.category)}</span>
+                <span class="post-date">
+                    <i class="fas fa-calendar"></i>
+                    ${escapeHtml(formattedDate)}
+                </span>
+                <span class="post-reading-time" title="${formatPostStats(post)}">
+                    <i class="fas fa-clock"></i>
+                    ${post.readingTime} min read
+                </span>
+            </div>
+            <h2 class="post-title">
+                <a href="${postUrl}">${match ? match.titleHtml : escapeHtml(post.title)}</a>
+            </h2>
+            <p class="post-excerpt">${match && match.snippetHtml ? match.snippetHtml : escapeHtml(post.excerpt)}</p>
+            <div class="post-tags">${tagsHTML}</div>
+            <a href="${postUrl}" class="read-more">
+                Read More <i class="fas fa-arrow-right"></i>
+            </a>
+        </article>
+    `;
+}
+
+/**
+ * Create HTML for the card of a post that could not be loaded
+ * The post is still listed from the manifest. It failed either while being
+ * indexed in the browser or when it was opened in the post view, and the
+ * card stays until a later attempt succeeds.
+ * @param {Object} post - Post data
+ * @returns {string} - HTML string
+ */
+function createPostErrorCard(post) {
+    const postUrl = `${encodeURIComponent(post.slug)}.html`;
+    
+    return `
+        <article class="post-card post-card-error">
+            <div class="post-meta">
+                <span class="post-error">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Error loading post
+                </span>
+            </div>
+            <h2 class="post-title">
+                <a href="${postUrl}">${escapeHtml(post.title)}</a>
+            </h2>
+            <p class="post-excerpt">Sorry, we couldn't load the post "${escapeHtml(post.slug)}", Please try again later.</p>
+            <a href="${postUrl}" class="read-more">
+                Open Post <i class="fas fa-arrow-right"></i>
+            </a>
+        </article>
+    `;
+}
+
+/**
+ * Render blog sidebar
+ */
+function renderSidebar() {
+    renderRecentPosts();
+    renderCategories();
+    renderTagCloud();
+    renderArchiveLinks();
+}
+
+/**
+ * Render recent posts in sidebar
+ */
+function renderRecentPosts() {
+    const recentPostsContainer = document.getElementById('recent-posts');
+    if (!recentPostsContainer) return;
+    
+    const recentPosts = blogPosts.slice(0, 5);
+    const recentPostsHTML = recentPosts.map(post => `
+        <div class="recent-post">
+            <a href="${encodeURIComponent(post.slug)}.html">
+                ${escapeHtml(post.title)}
+            </a>
+            <small>${escapeHtml(formatDate(post.date))}</small>
+        </div>
+    `).join('');
+    
+    recentPostsContainer.innerHTML = recentPostsHTML;
+}
+
+/**
+ * Render categories in sidebar
+ */
+function renderCategories() {
+    const categoriesContainer = document.getElementById('categories');
+    if (!categoriesContainer) return;
+    
+    // Count posts by category
+    const categoryCount = {};
+    blogPosts.forEach(post => {
+        const category = post.category || 'Uncategorized';
+        categoryCount[category] = (categoryCount[category] || 0) + 1;
+    });
+    
+    // Category names come from frontmatter, so they travel in a data
+    // attribute instead of being spliced into an inline handler
+    const categoriesHTML = Object.entries(categoryCount).map(([category, count]) => `
+        <a href="?category=${escapeHtml(encodeURIComponent(category))}" data-category="${escapeHtml(category)}" class="category-link">
+            <span>${escapeHtml(category)}</span>
+            <span class="category-count">${count}</span>
+        </a>
+    `).join('');
+    
+    categoriesContainer.innerHTML = categoriesHTML;
+    
+    categoriesContainer.querySelectorAll('.category-link').forEach(link => {
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            filterByCategory(this.dataset.category);
+        });
+    });
+}
+
+// Modal functionality removed - posts now have individual pages
+
+/**
+ * Initialize a post page
+ * Pages built by scripts/build-posts.js already contain the post body;
+ * client-rendered pages fetch and render the README.md here. Every page
+ * loads the manifest for the related posts.
+ */
+async function initPostPage() {
+    const postContent = document.getElementById('post-content');
+    const slug = postContent.dataset.slug;
+    
+    initSaveForOffline();
+    updateSaveForOffline(slug);
+    
+    if (postContent.dataset.prerendered === 'true') {
+        renderTableOfContents(getRenderedOutline(postContent));
+        initReadingProgress();
+        await loadPostList();
+        renderRelatedPosts(slug);
+        return;
+    }
+    
+    // Rendering waits for the manifest, where the post also finds the
+    // other parts of a series and the posts around this one
+    await loadPostList();
+    await loadPostContent(slug);
+}
+
+/**
+ * Load the manifest on a post page
+ * The post is still shown when this fails, only without links to others.
+ */
+async function loadPostList() {
+    try {
+        await loadBlogPosts();
+    } catch (error) {
+        console.warn('Post list unavailable, showing the post without links to others:', error);
+    }
+}
+
+/**
+ * Set up the "Save for offline" button of a post page
+ * Saved posts go to a cache of their own that sw.js answers from when
+ * the network is unavailable, and that its updates never clear. The
+ * button acts on the post last passed to updateSaveForOffline.
+ */
+function initSaveForOffline() {
+    const button = document.getElementById('save-offline');
+    if (!button || !canSaveForOffline()) return;
+    
+    button.addEventListener('click', async function() {
+        const urls = getOfflineUrls(button.dataset.slug);
+        const saved = button.getAttribute('aria-pressed') === 'true';
+        
+        button.disabled = true;
+        try {
+            const cache = await caches.open(BLOG_CONFIG.offlineCache);
+            if (saved) {
+                await Promise.all(urls.map(url => cache.delete(url)));
+            } else {
+                await cache.addAll(urls);
+            }
+            renderSaveForOffline(button, !saved);
+            showNotification(saved ? 'Removed from offline reading.' : 'Saved for offline reading.', 'success');
+        } catch (error) {
+            console.error('Error saving post for offline reading:', error);
+            showNotification('Could not save this post for offline reading. Please try again.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Point the "Save for offline" button at a post and show whether it is
+ * saved
+ * @param {string} slug - Post slug
+ */
+async function updateSaveForOffline(slug) {
+    const button = document.getElementById('save-offline');
+    if (!button || !canSaveForOffline()) return;
+    
+    button.dataset.slug = slug;
+    const cache = await caches.open(BLOG_CONFIG.offlineCache);
+    const saved = Boolean(await cache.match(getOfflineUrls(slug)[0]));
+    
+    // Another post may have been opened in the meantime
+    if (button.dataset.slug === slug) {
+        renderSaveForOffline(button, saved);
+        button.hidden = false;
+    }
+}
+
+/**
+ * Check whether posts can be saved for offline reading
+ * @returns {boolean}
+ */
+function canSaveForOffline() {
+    return 'caches' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Get the URLs to keep for reading a post offline: the page it is shown
+ * on, and the markdown it renders from when it is not pre-rendered
+ * @param {string} slug - Post slug
+ * @returns {Array<string>} - Absolute URLs
+ */
+function getOfflineUrls(slug) {
+    return [
+        `${window.location.origin}${window.location.pathname}`,
+        new URL(`${BLOG_CONFIG.postsDirectory}${slug}/README.md`, window.location.href).href
+    ];
+}
+
+/**
+ * Show whether the post is saved on the "Save for offline" button
+ * @param {Element} button - Button element
+ * @param {boolean} saved - Whether the post is saved
+ */
+function renderSaveForOffline(button, saved) {
+    button.classList.toggle('saved', saved);
+    button.setAttribute('aria-pressed', String(saved));
+    button.title = saved ? 'Remove the offline copy of this post' : 'Keep this post readable without a connection';
+    button.innerHTML = saved
+        ? '<i class="fas fa-check"></i> Saved for offline'
+        : '<i class="fas fa-download"></i> Save for offline';
+}
+
+/**
+ * Load and render a post page in the browser
+ * @param {string} slug - Post slug
+ */
+async function loadPostContent(slug) {
+    const postContent = document.getElementById('post-content');
+    
+    try {
+        const entry = await loadPostEntry(slug, { onUpdate: updated => renderPostView(updated.data) });
+        failedPosts.delete(slug);
+        renderPostView(entry.data);
+    } catch (error) {
+        // A post the manifest lists is broken, even when its README.md is missing
+        if (blogPosts.some(post => post.slug === slug)) {
+            failedPosts.set(slug, error);
+        }
+        
+        // Another post may have been opened in the meantime
+        if (postContent.dataset.slug !== slug) return;
+        
+        if (error.status === 404) {
+            renderPostNotFound(slug);
+            return;
+        }
+        
+        console.error(`Error loading post ${slug}:`, error);
+        postContent.innerHTML = `
+            <div class="error-state">
+                <i class="fas fa-exclamation-triangle"></i>
+                <h3>Error Loading Post</h3>
+                <p>Sorry, we couldn't load the post "${escapeHtml(slug)}". Please try again later.</p>
+                <button onclick="location.reload()" class="btn btn-primary">
+                    <i class="fas fa-refresh"></i> Try Again
+                </button>
+                <a href="./" class="btn btn-outline">Back to Blog</a>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Render a parsed post into the page
+ * The header and meta tags are only filled in on the post view of the
+ * listing page; pages built by scripts/build-posts.js already have them.
+ * @param {Object} post - Post from parseMarkdownPost
+ */
+function renderPostView(post) {
+    const postContent = document.getElementById('post-content');
+    if (postContent.dataset.slug !== post.slug) return;
+    
+    postContent.innerHTML = post.content;
+    renderTableOfContents(getRenderedOutline(postContent));
+    renderRelatedPosts(post.slug);
+    
+    const readingProgress = document.getElementById('reading-progress');
+    if (readingProgress) {
+        readingProgress.dataset.readingTime = post.readingTime;
+        initReadingProgress();
+    }
+    
+    const postHeader = document.getElementById('post-header');
+    if (!postHeader) return;
+    
+    document.getElementById('post-breadcrumb-title').textContent = post.title;
+    document.getElementById('post-category').textContent = post.category;
+    document.getElementById('post-reading-time').textContent = `${post.readingTime} min read`;
+    document.getElementById('post-stats').textContent = formatPostStats(post);
+    document.getElementById('post-title').textContent = post.title;
+    
+    const postDate = document.getElementById('post-date');
+    postDate.dateTime = post.date;
+    postDate.textContent = formatDate(post.date);
+    
+    document.getElementById('post-tags').innerHTML = post.tags.map(tag =>
+        `<a href="./?tag=${encodeURIComponent(generateHeaderId(tag))}" class="post-tag">${escapeHtml(tag)}</a>`
+    ).join('\n');
+    
+    postHeader.hidden = false;
+    renderPostMeta(post);
+    renderPostNavigation(post);
+}
+
+/**
+ * Render the related posts of a post as cards under its body
+ * The manifest lists them, as picked by scripts/lib/related-posts.js.
+ * @param {string} slug - Post slug
+ */
+function renderRelatedPosts(slug) {
+    const relatedPosts = document.getElementById('related-posts');
+    const relatedGrid = document.getElementById('related-posts-grid');
+    if (!relatedPosts || !relatedGrid) return;
+    
+    const entry = blogPosts.find(post => post.slug === slug);
+    const posts = ((entry && entry.related) || [])
+        .map(relatedSlug => blogPosts.find(post => post.slug === relatedSlug))
+        .filter(Boolean);
+    
+    relatedGrid.innerHTML = posts.map(post => createPostCard(post, { highlight: false })).join('');
+    relatedPosts.hidden = posts.length === 0;
+}
+
+/**
+ * Render the series box and the previous/next links of a post
+ * @param {Object} post - Post from parseMarkdownPost
+ */
+function renderPostNavigation(post) {
+    const navigation = getPostNavigation(post, blogPosts);
+    
+    const postSeries = document.getElementById('post-series');
+    if (postSeries) {
+        postSeries.innerHTML = createSeriesHtml(navigation.series);
+    }
+    
+    const adjacentPosts = document.getElementById('post-adjacent');
+    if (adjacentPosts) {
+        adjacentPosts.innerHTML = createAdjacentPostsHtml(navigation);
+    }
+}
+
+/**
+ * Point the title, description, canonical URL and social meta tags at
+ * the post being shown
+ * The URL is the one the build gives the post in the manifest, whatever
+ * address the post was opened at; without a manifest entry it is the
+ * post's page next to this one.
+ * @param {Object} post - Post from parseMarkdownPost
+ */
+function renderPostMeta(post) {
+    const entry = blogPosts.find(item => item.slug === post.slug);
+    const url = entry && entry.url
+        ? entry.url
+        : new URL(`${encodeURIComponent(post.slug)}.html`, window.location.href).href;
+    
+    applyPageMeta({
+        title: formatPageTitle(post.title),
+        description: post.excerpt,
+        url
+    });
+    removeNoIndex();
+}
+
+/**
+ * Read the title, description and canonical URL of the page
+ * @returns {Object} - { title, description, url }
+ */
+function readPageMeta() {
+    const description = document.querySelector('meta[name="description"]');
+    const canonical = document.querySelector('link[rel="canonical"]');
+    
+    return {
+        title: document.title,
+        description: description ? description.content : '',
+        url: canonical ? canonical.href : window.location.href
+    };
+}
+
+/**
+ * Set the title, description, canonical URL and social meta tags
+ * @param {Object} meta - { title, description, url }
+ */
+function applyPageMeta({ title, description, url }) {
+    document.title = title;
+    setMetaContent('meta[name="description"]', description);
+    setMetaContent('meta[property="og:title"]', title);
+    setMetaContent('meta[property="og:description"]', description);
+    setMetaContent('meta[property="og:url"]', url);
+    
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) {
+        canonical.href = url;
+    }
+}
+
+/**
+ * Add the site author to a page title, as the built pages do
+ * @param {string} title - Page title
+ * @returns {string} - e.g. "My Post - Your Name"
+ */
+function formatPageTitle(title) {
+    const author = document.querySelector('meta[name="author"]');
+    return author ? `${title} - ${author.content}` : title;
+}
+
+/**
+ * Set the content of a meta tag if the page has it
+ * @param {string} selector - CSS selector of the meta tag
+ * @param {string} content - New content
+ */
+function setMetaContent(selector, content) {
+    const meta = document.querySelector(selector);
+    if (meta) {
+        meta.content = content;
+    }
+}
+
+/**
+ * Show the 404 state for a slug that has no post
+ * @param {string} slug - Requested slug
+ */
+function renderPostNotFound(slug) {
+    const postContent = document.getElementById('post-content');
+    
+    document.title = formatPageTitle('Post Not Found');
+    
+    // Keep search engines from indexing the error
+    if (!document.getElementById('post-noindex')) {
+        const robots = document.createElement('meta');
+        robots.id = 'post-noindex';
+        robots.name = 'robots';
+        robots.content = 'noindex';
+        document.head.appendChild(robots);
+    }
+    
+    postContent.innerHTML = `
+        <div class="error-state not-found">
+            <i class="fas fa-search"></i>
+            <h3>Post Not Found</h3>
+            <p>There is no post called "${escapeHtml(slug)}". It may have been moved or renamed.</p>
+            <a href="./" class="btn btn-primary">Browse all posts</a>
+        </div>
+    `;
+}
+
+/**
+ * Remove the noindex tag of renderPostNotFound after the router moved on
+ */
+function removeNoIndex() {
+    const robots = document.getElementById('post-noindex');
+    if (robots) {
+        robots.remove();
     }
-});
+}
 
 /**
- * Check if current page is a blog page
- * @returns {boolean}
+ * Read the heading outline of a post body that is already in the page
+ * @param {Element} container - Post body element
+ * @returns {Array<Object>} - [{ depth, text, id }]
  */
-function isBlogPage() {
-    return window.location.pathname.includes('/blog/') || 
-           document.querySelector('.blog-posts') !== null;
+function getRenderedOutline(container) {
+    return Array.from(container.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'))
+        .filter(heading => !heading.closest('li, blockquote, .footnotes'))
+        .map(heading => {
+            const clone = heading.cloneNode(true);
+            clone.querySelectorAll('.heading-anchor').forEach(anchor => anchor.remove());
+            return {
+                depth: Number(heading.tagName[1]),
+                text: clone.textContent.trim(),
+                id: heading.id
+            };
+        });
 }
 
 /**
- * Initialize blog functionality
+ * Render the table of contents sidebar of a post page
+ * @param {Array<Object>} outline - Heading outline from getRenderedOutline
  */
-async function initBlog() {
-    try {
-        showLoading();
-        await loadBlogPosts();
-        initSearchAndFilter();
-        renderBlogPosts();
-        renderSidebar();
-        hideLoading();
-    } catch (error) {
-        console.error('Error initializing blog:', error);
-        showError('Failed to load blog posts. Please try again later.');
+function renderTableOfContents(outline) {
+    const tocContainer = document.getElementById('post-toc');
+    const tocList = document.getElementById('toc-list');
+    if (!tocContainer || !tocList) return;
+    
+    const headings = outline.filter(heading =>
+        heading.depth >= BLOG_CONFIG.tocMinDepth && heading.depth <= BLOG_CONFIG.tocMaxDepth
+    );
+    
+    // A single section does not need navigation
+    if (headings.length < 2) {
+        tocContainer.hidden = true;
+        tocContainer.closest('.post-layout')?.classList.remove('has-toc');
+        tocScrollSpy = replaceWindowListener(tocScrollSpy, ['scroll'], null);
+        return;
     }
+    
+    const topDepth = Math.min(...headings.map(heading => heading.depth));
+    tocList.innerHTML = headings.map(heading => `
+        <li class="toc-item toc-level-${heading.depth - topDepth}">
+            <a href="#${escapeHtml(heading.id)}" data-target="${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a>
+        </li>
+    `).join('');
+    
+    tocContainer.hidden = false;
+    tocContainer.closest('.post-layout')?.classList.add('has-toc');
+    initTocScrollSpy(tocList);
 }
 
 /**
- * Load blog posts from markdown files
+ * Highlight the table of contents entry of the section being read
+ * @param {Element} tocList - Table of contents list
  */
-async function loadBlogPosts() {
-    // Define available blog posts
-    // In a real implementation, this could be generated automatically
-    const postSlugs = [
-        'welcome-to-my-blog',
-        'my-coding-journey', 
-        'web-development-tips'
-    ];
+function initTocScrollSpy(tocList) {
+    const links = Array.from(tocList.querySelectorAll('a[data-target]'));
+    const targets = links
+        .map(link => document.getElementById(link.dataset.target))
+        .filter(Boolean);
     
-    const posts = [];
-    
-    for (const slug of postSlugs) {
-        try {
-            const postData = await loadPost(slug);
-            if (postData) {
-                posts.push(postData);
+    function updateActiveTocLink() {
+        // The current section is the last heading that has scrolled past the navbar
+        let activeId = targets.length > 0 ? targets[0].id : null;
+        targets.forEach(target => {
+            if (target.getBoundingClientRect().top <= BLOG_CONFIG.scrollOffset) {
+                activeId = target.id;
             }
-        } catch (error) {
-            console.error(`Error loading post ${slug}:`, error);
-        }
+        });
+        
+        links.forEach(link => {
+            link.classList.toggle('active', link.dataset.target === activeId);
+        });
     }
     
-    // Sort posts by date (newest first)
-    blogPosts = posts.sort((a, b) => new Date(b.date) - new Date(a.date));
-    filteredPosts = [...blogPosts];
+    tocScrollSpy = replaceWindowListener(tocScrollSpy, ['scroll'], throttle(updateActiveTocLink, 100));
+    updateActiveTocLink();
 }
 
 /**
- * Load individual blog post
- * @param {string} slug - Post slug
- * @returns {Object|null} - Post data object
+ * Show how far the reader is through the post body
+ * The bar fills as the body scrolls past the navbar and is full once its
+ * end is in view; screen readers hear the minutes left, from the reading
+ * time in the bar's data-reading-time.
  */
-async function loadPost(slug) {
-    try {
-        const response = await fetch(`${BLOG_CONFIG.postsDirectory}${slug}/README.md`);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const markdown = await response.text();
-        const postData = parseMarkdownPost(markdown, slug);
+function initReadingProgress() {
+    const progress = document.getElementById('reading-progress');
+    const postContent = document.getElementById('post-content');
+    if (!progress || !postContent) return;
+    
+    const bar = progress.querySelector('.reading-progress-bar');
+    const readingTime = Number(progress.dataset.readingTime) || 0;
+    let frame = null;
+    
+    function updateReadingProgress() {
+        frame = null;
+        const rect = postContent.getBoundingClientRect();
+        const length = rect.height - (window.innerHeight - BLOG_CONFIG.scrollOffset);
+        const ratio = length > 0
+            ? Math.min(Math.max((BLOG_CONFIG.scrollOffset - rect.top) / length, 0), 1)
+            : 1;
+        const minutesLeft = Math.ceil(readingTime * (1 - ratio));
         
-        return postData;
-    } catch (error) {
-        console.error(`Error loading post ${slug}:`, error);
-        return null;
+        bar.style.transform = `scaleX(${ratio})`;
+        progress.setAttribute('aria-valuenow', String(Math.round(ratio * 100)));
+        progress.setAttribute('aria-valuetext', minutesLeft > 0 ? `${minutesLeft} min left` : 'Finished');
     }
+    
+    readingProgressListener = replaceWindowListener(readingProgressListener, ['scroll', 'resize'], function() {
+        if (frame === null) {
+            frame = requestAnimationFrame(updateReadingProgress);
+        }
+    });
+    
+    progress.hidden = false;
+    updateReadingProgress();
 }
 
 /**
- * Parse markdown post and extract metadata
- * @param {string} markdown - Raw markdown content
- * @param {string} slug - Post slug
- * @returns {Object} - Parsed post data
- */
-function parseMarkdownPost(markdown, slug) {
-    const post = {
-        slug,
-        title: '',
-        date: '',
-        category: '',
-        tags: [],
-        excerpt: '',
-        content: '',
-        readingTime: 0
+ * Swap a window listener of the post view for a new one
+ * A re-rendered post replaces the listener of the previous one, so only
+ * the post on screen is tracked.
+ * @param {Function|null} previous - Listener to remove
+ * @param {Array<string>} events - Events the listeners handle
+ * @param {Function|null} listener - Listener to add, null to only remove
+ * @returns {Function|null} - `listener`, to keep for the next swap
+ */
+function replaceWindowListener(previous, events, listener) {
+    events.forEach(type => {
+        if (previous) {
+            window.removeEventListener(type, previous);
+        }
+        if (listener) {
+            window.addEventListener(type, listener, { passive: true });
+        }
+    });
+    
+    return listener;
+}
+
+/**
+ * Filter posts by category
+ * @param {string} category - Category name
+ */
+function filterByCategory(category) {
+    // Goes through the search box so the filter shows as a chip and can be
+    // combined with other search terms
+    setSearchQuery(formatSearchClause({ field: 'category', value: category, negated: false }));
+}
+
+/**
+ * Handle clicks on tags in the tag cloud and on post cards, and on the
+ * all/any switch for multiple tags
+ */
+function initTagFilters() {
+    const onTagClick = function(e) {
+        const link = e.target.closest('a[data-tag]');
+        if (!link) return;
+        
+        e.preventDefault();
+        toggleTagFilter(link.dataset.tag);
     };
     
-    // Extract frontmatter
-    const frontmatterMatch = markdown.match(/^---\n([\s\S]*?)\n---/);
-    let content = markdown;
+    ['tag-cloud', 'posts-grid'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) {
+            container.addEventListener('click', onTagClick);
+        }
+    });
     
-    if (frontmatterMatch) {
-        const frontmatter = frontmatterMatch[1];
-        content = markdown.replace(frontmatterMatch[0], '').trim();
-        
-        // Parse frontmatter
-        const frontmatterLines = frontmatter.split('\n');
-        frontmatterLines.forEach(line => {
-            const [key, ...valueParts] = line.split(':');
-            if (key && valueParts.length > 0) {
-                const value = valueParts.join(':').trim();
-                
-                switch (key.trim()) {
-                    case 'title':
-                        post.title = value;
-                        break;
-                    case 'date':
-                        post.date = value;
-                        break;
-                    case 'category':
-                        post.category = value;
-                        break;
-                    case 'tags':
-                        // Parse array format [tag1, tag2, tag3]
-                        const tagsMatch = value.match(/\[(.*?)\]/);
-                        if (tagsMatch) {
-                            post.tags = tagsMatch[1].split(',').map(tag => tag.trim().replace(/['"]/g, ''));
-                        }
-                        break;
-                    case 'excerpt':
-                        post.excerpt = value;
-                        break;
-                }
+    const tagMatch = document.getElementById('tag-match');
+    if (tagMatch) {
+        tagMatch.addEventListener('click', function(e) {
+            const button = e.target.closest('button[data-mode]');
+            if (button) {
+                setTagMatchMode(button.dataset.mode);
             }
         });
     }
+}
+
+/**
+ * Render the tag cloud in the sidebar, sized by how many posts use a tag
+ */
+function renderTagCloud() {
+    const tagCloud = document.getElementById('tag-cloud');
+    if (!tagCloud) return;
     
-    // If no title found in frontmatter, extract from first heading
-    if (!post.title) {
-        const titleMatch = content.match(/^#\s+(.+)$/m);
-        if (titleMatch) {
-            post.title = titleMatch[1];
-        } else {
-            post.title = slug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-        }
-    }
+    const selectedTags = getSelectedTags();
     
-    // Generate excerpt if not provided
-    if (!post.excerpt) {
-        const textContent = content.replace(/[#*`]/g, '').replace(/\n+/g, ' ').trim();
-        post.excerpt = textContent.substring(0, BLOG_CONFIG.excerptLength) + 
-                      (textContent.length > BLOG_CONFIG.excerptLength ? '...' : '');
-    }
+    tagCloud.innerHTML = collectPostTags(blogPosts).map(tag => {
+        const selected = selectedTags.has(tag.slug);
+        const label = `${tag.count} post${tag.count === 1 ? '' : 's'}`;
+        
+        return `
+            <a href="?tag=${encodeURIComponent(tag.slug)}" data-tag="${escapeHtml(tag.slug)}" class="tag-cloud-item tag-weight-${tag.weight}${selected ? ' active' : ''}" title="${label}">
+                ${escapeHtml(tag.name)}
+            </a>
+        `;
+    }).join('');
     
-    // Convert markdown to HTML
-    post.content = parseMarkdown(content);
+    document.querySelectorAll('#tag-match button[data-mode]').forEach(button => {
+        const active = button.dataset.mode === tagMatchMode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+}
+
+/**
+ * Check whether a query clause selects posts by tag
+ * @param {Object} clause - Clause from parseSearchQuery
+ * @returns {boolean}
+ */
+function isTagFilter(clause) {
+    return clause.field === 'tag' && !clause.negated;
+}
+
+/**
+ * Check whether a query clause selects posts by category
+ * @param {Object} clause - Clause from parseSearchQuery
+ * @returns {boolean}
+ */
+function isCategoryFilter(clause) {
+    return clause.field === 'category' && !clause.negated;
+}
+
+/**
+ * Get the tags the active query filters by
+ * @returns {Set<string>} - Tag slugs
+ */
+function getSelectedTags() {
+    const slugs = new Set();
     
-    // Calculate reading time (approximate)
-    const wordCount = content.split(/\s+/).length;
-    post.readingTime = Math.max(1, Math.ceil(wordCount / 200)); // 200 words per minute
+    activeQuery.alternatives.forEach(clauses => {
+        clauses.filter(isTagFilter).forEach(clause => {
+            splitFilterValues(clause.value).forEach(value => slugs.add(generateHeaderId(value)));
+        });
+    });
     
-    return post;
+    return slugs;
 }
 
 /**
- * Initialize search and filter functionality
+ * Select or deselect a tag in the search query
+ * With tagMatchMode 'all' each tag becomes its own tag: filter, so posts
+ * need every tag; with 'any' the tags share one tag:a,b filter.
+ * @param {string} tag - Tag name or slug
  */
-function initSearchAndFilter() {
-    const searchInput = document.getElementById('search-input');
+function toggleTagFilter(tag) {
+    const slug = generateHeaderId(tag);
+    const alternatives = activeQuery.alternatives.length > 0 ? activeQuery.alternatives : [[]];
+    let updated;
     
-    if (searchInput) {
-        searchInput.addEventListener('input', debounce(function() {
-            const query = this.value.toLowerCase().trim();
-            filterPosts(query);
-        }, 300));
+    if (getSelectedTags().has(slug)) {
+        updated = alternatives.map(clauses => clauses
+            .map(clause => isTagFilter(clause)
+                ? { ...clause, value: splitFilterValues(clause.value).filter(value => generateHeaderId(value) !== slug).join(',') }
+                : clause)
+            .filter(clause => clause.value));
+    } else {
+        updated = alternatives.map(clauses => addTagClause(clauses, slug));
     }
+    
+    setSearchQuery(stringifySearchQuery({ alternatives: updated }));
 }
 
 /**
- * Filter posts based on search query
- * @param {string} query - Search query
+ * Switch between requiring all selected tags and any of them, regrouping
+ * the tag filters already in the query
+ * @param {string} mode - 'all' or 'any'
  */
-function filterPosts(query) {
-    if (!query) {
-        filteredPosts = [...blogPosts];
-    } else {
-        filteredPosts = blogPosts.filter(post => {
-            return post.title.toLowerCase().includes(query) ||
-                   post.excerpt.toLowerCase().includes(query) ||
-                   post.category.toLowerCase().includes(query) ||
-                   post.tags.some(tag => tag.toLowerCase().includes(query));
-        });
+function setTagMatchMode(mode) {
+    tagMatchMode = mode === 'any' ? 'any' : 'all';
+    
+    if (getSelectedTags().size === 0) {
+        renderTagCloud();
+        return;
     }
     
-    currentPage = 1;
-    renderBlogPosts();
+    const alternatives = activeQuery.alternatives.map(clauses => {
+        const tags = clauses.filter(isTagFilter).flatMap(clause => splitFilterValues(clause.value));
+        return tags.reduce(addTagClause, clauses.filter(clause => !isTagFilter(clause)));
+    });
+    
+    setSearchQuery(stringifySearchQuery({ alternatives }));
 }
 
 /**
- * Render blog posts
+ * Add a tag to the clauses of one query alternative
+ * @param {Array<Object>} clauses - Clauses of the alternative
+ * @param {string} slug - Tag slug
+ * @returns {Array<Object>} - New clause list
  */
-function renderBlogPosts() {
-    const postsGrid = document.getElementById('posts-grid');
-    if (!postsGrid) return;
+function addTagClause(clauses, slug) {
+    const index = tagMatchMode === 'any' ? clauses.findIndex(isTagFilter) : -1;
     
-    if (filteredPosts.length === 0) {
-        postsGrid.innerHTML = `
-            <div class="no-posts">
-                <i class="fas fa-search"></i>
-                <h3>No posts found</h3>
-                <p>Try adjusting your search terms or browse all posts.</p>
-            </div>
-        `;
-        return;
+    if (index === -1) {
+        return [...clauses, { field: 'tag', value: slug, negated: false }];
     }
+    return clauses.map((clause, position) => position === index
+        ? { ...clause, value: `${clause.value},${slug}` }
+        : clause);
+}
+
+/**
+ * Turn the ?q=, ?tag=, ?category=, ?year= and ?month= parameters of the
+ * page URL into a search query, in the order they appear
+ * @returns {string} - e.g. 'tag:career date:2025-08', or '' without filters
+ */
+function getQueryFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const month = params.get('month');
+    const parts = [];
     
-    const startIndex = (currentPage - 1) * BLOG_CONFIG.postsPerPage;
-    const endIndex = startIndex + BLOG_CONFIG.postsPerPage;
-    const postsToShow = filteredPosts.slice(startIndex, endIndex);
+    params.forEach((value, name) => {
+        if (name === 'q') {
+            parts.push(value.trim());
+        } else if ((name === 'tag' || name === 'category') && value.trim()) {
+            parts.push(formatSearchClause({ field: name, value, negated: false }));
+        } else if (name === 'year' && /^\d{4}$/.test(value)) {
+            const period = /^\d{1,2}$/.test(month) ? `${value}-${month.padStart(2, '0')}` : value;
+            parts.push(formatSearchClause({ field: 'date', value: period, negated: false }));
+        }
+    });
     
-    const postsHTML = postsToShow.map(post => createPostCard(post)).join('');
-    postsGrid.innerHTML = postsHTML;
+    return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Handle the posts/archive view switch and the archive links in the sidebar
+ */
+function initArchive() {
+    const listingViews = document.getElementById('listing-views');
+    if (listingViews) {
+        listingViews.addEventListener('click', function(e) {
+            const button = e.target.closest('button[data-view]');
+            if (button) {
+                setListingView(button.dataset.view);
+            }
+        });
+    }
     
-    // Add pagination if needed
-    if (filteredPosts.length > BLOG_CONFIG.postsPerPage) {
-        renderPagination();
+    const archiveLinks = document.getElementById('archive-links');
+    if (archiveLinks) {
+        archiveLinks.addEventListener('click', function(e) {
+            const link = e.target.closest('a[data-period]');
+            if (!link) return;
+            
+            e.preventDefault();
+            toggleArchivePeriod(link.dataset.period);
+        });
     }
 }
 
 /**
- * Create HTML for a blog post card
- * @param {Object} post - Post data
+ * Switch the listing between post cards and the archive
+ * @param {string} view - 'posts' or 'archive'
+ */
+function setListingView(view) {
+    const nextView = view === 'archive' ? 'archive' : 'posts';
+    if (nextView === listingView) return;
+    
+    navigateListing({ view: nextView, page: 1 });
+}
+
+/**
+ * Mark the active button of the posts/archive switch
+ */
+function renderListingViews() {
+    document.querySelectorAll('#listing-views button[data-view]').forEach(button => {
+        const active = button.dataset.view === listingView;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+}
+
+/**
+ * Read the listing view from the ?view= query parameter
+ * @returns {string} - 'archive' or 'posts'
+ */
+function getViewFromUrl() {
+    return getUrlParameters().view === 'archive' ? 'archive' : 'posts';
+}
+
+/**
+ * Group posts by year and month, newest first
+ * Dates are read as YYYY-MM-DD text, so time zones cannot move a post
+ * into another month.
+ * @param {Array<Object>} posts - Posts sorted newest first
+ * @returns {Array<Object>} - [{ year, count, months: [{ period, name, posts }] }]
+ */
+function groupPostsByMonth(posts) {
+    const years = [];
+    
+    posts.forEach(post => {
+        const year = post.date.slice(0, 4);
+        const period = post.date.slice(0, 7);
+        
+        let yearGroup = years.find(group => group.year === year);
+        if (!yearGroup) {
+            yearGroup = { year, count: 0, months: [] };
+            years.push(yearGroup);
+        }
+        
+        let monthGroup = yearGroup.months.find(group => group.period === period);
+        if (!monthGroup) {
+            monthGroup = { period, name: formatMonthName(period), posts: [] };
+            yearGroup.months.push(monthGroup);
+        }
+        
+        yearGroup.count++;
+        monthGroup.posts.push(post);
+    });
+    
+    years.sort((a, b) => b.year.localeCompare(a.year));
+    years.forEach(group => group.months.sort((a, b) => b.period.localeCompare(a.period)));
+    return years;
+}
+
+/**
+ * Create HTML for the archive view with collapsible years and months
+ * Only the newest year starts expanded, unless a search narrowed the posts.
+ * @param {Array<Object>} posts - Posts to list
  * @returns {string} - HTML string
  */
-function createPostCard(post) {
-    const formattedDate = formatDate(post.date);
-    const tagsHTML = post.tags.map(tag => `<span class="post-tag">${tag}</span>`).join('');
+function createArchive(posts) {
+    const expandAll = activeQuery.alternatives.length > 0;
     
-    return `
-        <article class="post-card">
-            <div class="post-meta">
-                <span class="post-category">${post.category}</span>
-                <span class="post-date">
-                    <i class="fas fa-calendar"></i>
-                    ${formattedDate}
-                </span>
-                <span class="post-reading-time">
-                    <i class="fas fa-clock"></i>
-                    ${post.readingTime} min read
-                </span>
-            </div>
-            <h2 class="post-title">
-                <a href="${post.slug}.html">${post.title}</a>
-            </h2>
-            <p class="post-excerpt">${post.excerpt}</p>
-            <div class="post-tags">${tagsHTML}</div>
-            <a href="${post.slug}.html" class="read-more">
-                Read More <i class="fas fa-arrow-right"></i>
+    const yearsHTML = groupPostsByMonth(posts).map((yearGroup, index) => {
+        const monthsHTML = yearGroup.months.map(monthGroup => {
+            const postsHTML = monthGroup.posts.map(post => `
+                <li class="archive-post">
+                    <time datetime="${escapeHtml(post.date)}">${escapeHtml(formatArchiveDay(post.date))}</time>
+                    <a href="${encodeURIComponent(post.slug)}.html">${escapeHtml(post.title)}</a>
+                    <span class="post-category">${escapeHtml(post.category)}</span>
+                </li>
+            `).join('');
+            
+            return `
+                <details class="archive-month" open>
+                    <summary>
+                        <span class="archive-label">${escapeHtml(monthGroup.name)}</span>
+                        <span class="category-count">${monthGroup.posts.length}</span>
+                    </summary>
+                    <ul class="archive-posts">${postsHTML}</ul>
+                </details>
+            `;
+        }).join('');
+        
+        return `
+            <details class="archive-year"${expandAll || index === 0 ? ' open' : ''}>
+                <summary>
+                    <span class="archive-label">${escapeHtml(yearGroup.year)}</span>
+                    <span class="category-count">${yearGroup.count} post${yearGroup.count === 1 ? '' : 's'}</span>
+                </summary>
+                ${monthsHTML}
+            </details>
+        `;
+    }).join('');
+    
+    return `<div class="archive">${yearsHTML}</div>`;
+}
+
+/**
+ * Render the archive widget in the sidebar: every year and month with
+ * its post count, linking to the filtered listing
+ */
+function renderArchiveLinks() {
+    const archiveLinks = document.getElementById('archive-links');
+    if (!archiveLinks) return;
+    
+    const selectedPeriod = getSelectedPeriod();
+    const createLink = (period, label, count, className) => {
+        const [year, month] = period.split('-');
+        const href = month ? `?year=${year}&month=${month}` : `?year=${year}`;
+        const active = period === selectedPeriod ? ' active' : '';
+        
+        return `
+            <a href="${escapeHtml(href)}" data-period="${period}" class="category-link archive-link ${className}${active}">
+                <span>${escapeHtml(label)}</span>
+                <span class="category-count">${count}</span>
             </a>
-        </article>
-    `;
+        `;
+    };
+    
+    archiveLinks.innerHTML = groupPostsByMonth(blogPosts).map(yearGroup =>
+        createLink(yearGroup.year, yearGroup.year, yearGroup.count, 'archive-year-link') +
+        yearGroup.months.map(monthGroup =>
+            createLink(monthGroup.period, monthGroup.name, monthGroup.posts.length, 'archive-month-link')
+        ).join('')
+    ).join('');
 }
 
 /**
- * Render blog sidebar
+ * Check whether a query clause selects posts by date
+ * @param {Object} clause - Clause from parseSearchQuery
+ * @returns {boolean}
  */
-function renderSidebar() {
-    renderRecentPosts();
-    renderCategories();
+function isDateFilter(clause) {
+    return clause.field === 'date' && !clause.negated;
 }
 
 /**
- * Render recent posts in sidebar
+ * Get the year or month the active query is limited to
+ * @returns {string|null} - 'YYYY' or 'YYYY-MM', null when the query is not
+ *          a single alternative with one such date: filter
  */
-function renderRecentPosts() {
-    const recentPostsContainer = document.getElementById('recent-posts');
-    if (!recentPostsContainer) return;
+function getSelectedPeriod() {
+    if (activeQuery.alternatives.length !== 1) return null;
     
-    const recentPosts = blogPosts.slice(0, 5);
-    const recentPostsHTML = recentPosts.map(post => `
-        <div class="recent-post">
-            <a href="${post.slug}.html">
-                ${post.title}
-            </a>
-            <small>${formatDate(post.date)}</small>
-        </div>
-    `).join('');
+    const dateClauses = activeQuery.alternatives[0].filter(isDateFilter);
+    if (dateClauses.length !== 1) return null;
     
-    recentPostsContainer.innerHTML = recentPostsHTML;
+    const period = dateClauses[0].value;
+    return /^\d{4}(-\d{2})?$/.test(period) && dateClauses[0].range ? period : null;
 }
 
 /**
- * Render categories in sidebar
+ * Limit the listing to a year or month, or lift the limit when that
+ * period is already selected
+ * @param {string} period - 'YYYY' or 'YYYY-MM'
  */
-function renderCategories() {
-    const categoriesContainer = document.getElementById('categories');
-    if (!categoriesContainer) return;
+function toggleArchivePeriod(period) {
+    const deselect = getSelectedPeriod() === period;
+    const alternatives = activeQuery.alternatives.length > 0 ? activeQuery.alternatives : [[]];
     
-    // Count posts by category
-    const categoryCount = {};
-    blogPosts.forEach(post => {
-        const category = post.category || 'Uncategorized';
-        categoryCount[category] = (categoryCount[category] || 0) + 1;
+    const updated = alternatives.map(clauses => {
+        const rest = clauses.filter(clause => !isDateFilter(clause));
+        return deselect ? rest : [...rest, { field: 'date', value: period, negated: false }];
     });
     
-    const categoriesHTML = Object.entries(categoryCount).map(([category, count]) => `
-        <a href="#" onclick="filterByCategory('${category}'); return false;" class="category-link">
-            <span>${category}</span>
-            <span class="category-count">${count}</span>
-        </a>
-    `).join('');
-    
-    categoriesContainer.innerHTML = categoriesHTML;
+    setSearchQuery(stringifySearchQuery({ alternatives: updated }));
 }
 
-// Modal functionality removed - posts now have individual pages
+/**
+ * Get the name of a month
+ * @param {string} period - YYYY-MM
+ * @returns {string} - e.g. "August"
+ */
+function formatMonthName(period) {
+    return new Date(`${period}-01T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'long',
+        timeZone: 'UTC'
+    });
+}
 
 /**
- * Filter posts by category
- * @param {string} category - Category name
+ * Format the day of a post for the archive
+ * @param {string} dateString - YYYY-MM-DD date
+ * @returns {string} - e.g. "Aug 14"
  */
-function filterByCategory(category) {
-    filteredPosts = blogPosts.filter(post => post.category === category);
-    currentPage = 1;
-    renderBlogPosts();
-    
-    // Update search input to show the filter
-    const searchInput = document.getElementById('search-input');
-    if (searchInput) {
-        searchInput.value = `category:${category}`;
-    }
+function formatArchiveDay(dateString) {
+    return new Date(`${dateString.slice(0, 10)}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
 }
 
 /**
@@ -417,9 +1905,6 @@ function showError(message) {
     }
 }
 
-// Make functions available globally for onclick handlers
-window.filterByCategory = filterByCategory;
-
 // Add styles for modal and other blog components
 const blogStyles = document.createElement('style');
 blogStyles.textContent = `
@@ -0,0 +1,630 @@
+/**
+ * Frontmatter Parser
+ * Reads the YAML frontmatter block at the top of a markdown post and
+ * validates it against a schema
+ *
+ * Supports the subset of YAML that post metadata needs: nested mappings,
+ * block and flow lists, plain/single-quoted/double-quoted strings,
+ * booleans, numbers, null, literal (|) and folded (>) block scalars and
+ * comments. Dates are kept as strings so they survive round trips
+ * unchanged. Anchors, aliases and tags are rejected.
+ */
+
+// Frontmatter must open on the very first line of the file
+const FRONTMATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+const YAML_PATTERNS = {
+    mappingKey: /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},:-][^:#]*?|-[^\s:#][^:#]*?)[ \t]*:(?:[ \t]+|$)(.*)$/,
+    sequenceItem: /^-(?:[ \t]+|$)/,
+    blockScalar: /^([|>])([+-]?)[ \t]*(?:#.*)?$/,
+    number: /^[-+]?(?:\d+|\d*\.\d+)(?:[eE][-+]?\d+)?$/,
+    date: /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+};
+
+/**
+ * Split a markdown document into frontmatter data and body, and validate
+ * the data when a schema is given
+ * Never throws: YAML syntax errors and schema violations are returned as
+ * readable messages.
+ * @param {string} markdown - Raw markdown content
+ * @param {Object} schema - Field rules (see validateFrontmatter), optional
+ * @returns {Object} - { data, content, errors }
+ */
+function parseFrontmatter(markdown, schema) {
+    const match = markdown.match(FRONTMATTER_PATTERN);
+    if (!match) {
+        return {
+            data: {},
+            content: markdown,
+            errors: schema ? ['Missing frontmatter block (--- at the top of the file)'] : []
+        };
+    }
+
+    const content = markdown.slice(match[0].length).trim();
+    let data;
+
+    try {
+        // Line 1 is the opening ---
+        data = parseYaml(match[1] || '', 2);
+    } catch (error) {
+        return { data: {}, content, errors: [error.message] };
+    }
+
+    if (data === null) {
+        data = {};
+    } else if (typeof data !== 'object' || Array.isArray(data)) {
+        return { data: {}, content, errors: ['Frontmatter must be a set of "key: value" fields'] };
+    }
+
+    if (!schema) {
+        return { data, content, errors: [] };
+    }
+
+    const result = validateFrontmatter(data, schema);
+    return { data: result.data, content, errors: result.errors };
+}
+
+/**
+ * Parse a YAML document (see the supported subset above)
+ * @param {string} source - YAML text
+ * @param {number} firstLine - Line number of the first line, for messages
+ * @returns {*} - Parsed value
+ * @throws {Error} - On syntax errors, with the line number in the message
+ */
+function parseYaml(source, firstLine = 1) {
+    const state = {
+        lines: source.split(/\r?\n/).map((text, index) => {
+            const number = firstLine + index;
+            const indentation = text.match(/^[ \t]*/)[0];
+            const blank = indentation.length === text.length;
+
+            if (!blank && indentation.includes('\t')) {
+                throw createYamlError('Tabs are not allowed in indentation', number);
+            }
+
+            return {
+                number,
+                indent: indentation.length,
+                text: text.slice(indentation.length),
+                blank
+            };
+        }),
+        index: 0
+    };
+
+    const first = peekYamlLine(state);
+    if (!first) return null;
+
+    const value = parseYamlNode(state, first.indent);
+    const rest = peekYamlLine(state);
+    if (rest) {
+        throw createYamlError(rest.indent === first.indent
+            ? `Expected a "- item" list entry, got "${rest.text}"`
+            : 'Unexpected indentation', rest.number);
+    }
+
+    return value;
+}
+
+/**
+ * Skip blank and comment lines and return the next content line
+ * @param {Object} state - YAML parser state
+ * @returns {Object|null} - Line or null at the end of input
+ */
+function peekYamlLine(state) {
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        if (!line.blank && !line.text.startsWith('#')) return line;
+        state.index++;
+    }
+    return null;
+}
+
+/**
+ * Parse the block (mapping or sequence) that starts at the current line
+ * @param {Object} state - YAML parser state
+ * @param {number} indent - Indentation of the block
+ * @returns {Object|Array} - Parsed block
+ */
+function parseYamlNode(state, indent) {
+    const line = peekYamlLine(state);
+    return YAML_PATTERNS.sequenceItem.test(line.text)
+        ? parseYamlSequence(state, indent)
+        : parseYamlMapping(state, indent);
+}
+
+/**
+ * Parse "key: value" lines at one indentation level
+ * @param {Object} state - YAML parser state
+ * @param {number} indent - Indentation of the keys
+ * @returns {Object} - Parsed mapping
+ */
+function parseYamlMapping(state, indent) {
+    const mapping = {};
+    let line;
+
+    while ((line = peekYamlLine(state)) && line.indent >= indent) {
+        if (line.indent > indent) {
+            throw createYamlError('Unexpected indentation', line.number);
+        }
+
+        const match = line.text.match(YAML_PATTERNS.mappingKey);
+        if (!match) {
+            throw createYamlError(`Expected "key: value", got "${line.text}"`, line.number);
+        }
+
+        const key = parseYamlKey(match[1], line.number);
+        if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+            throw createYamlError(`Duplicate key "${key}"`, line.number);
+        }
+
+        state.index++;
+        mapping[key] = parseYamlValue(state, indent, match[2], line.number, true);
+    }
+
+    return mapping;
+}
+
+/**
+ * Parse "- item" lines at one indentation level
+ * @param {Object} state - YAML parser state
+ * @param {number} indent - Indentation of the dashes
+ * @returns {Array} - Parsed sequence
+ */
+function parseYamlSequence(state, indent) {
+    const sequence = [];
+    let line;
+
+    while ((line = peekYamlLine(state)) && line.indent >= indent) {
+        if (line.indent > indent) {
+            throw createYamlError('Unexpected indentation', line.number);
+        }
+        // A list at the same indentation as its key ends at the next key
+        if (!YAML_PATTERNS.sequenceItem.test(line.text)) break;
+
+        const marker = line.text.match(YAML_PATTERNS.sequenceItem)[0];
+        const rest = line.text.slice(marker.length);
+
+        if (YAML_PATTERNS.mappingKey.test(rest) || YAML_PATTERNS.sequenceItem.test(rest)) {
+            // "- key: value" and "- - item" open a block indented past the
+            // dash; reuse the line as the first entry of that block
+            line.indent += marker.length;
+            line.text = rest;
+            sequence.push(parseYamlNode(state, line.indent));
+        } else {
+            state.index++;
+            sequence.push(parseYamlValue(state, indent, rest, line.number, false));
+        }
+    }
+
+    return sequence;
+}
+
+/**
+ * Parse the value that follows a key or a list dash
+ * An empty value opens a nested block on the following lines.
+ * @param {Object} state - YAML parser state, positioned after the line
+ * @param {number} indent - Indentation of the parent key or dash
+ * @param {string} text - Text after "key:" or "-"
+ * @param {number} lineNumber - Line number, for messages
+ * @param {boolean} isMappingValue - Whether the value belongs to a key
+ * @returns {*} - Parsed value
+ */
+function parseYamlValue(state, indent, text, lineNumber, isMappingValue) {
+    const blockScalar = text.match(YAML_PATTERNS.blockScalar);
+    if (blockScalar) {
+        return parseYamlBlockScalar(state, indent, blockScalar[1] === '>', blockScalar[2]);
+    }
+
+    if (stripYamlComment(text) !== '') {
+        return parseYamlScalar(text, lineNumber);
+    }
+
+    const next = peekYamlLine(state);
+    if (next && next.indent > indent) {
+        return parseYamlNode(state, next.indent);
+    }
+    // A list may sit at the same indentation as its key
+    if (isMappingValue && next && next.indent === indent && YAML_PATTERNS.sequenceItem.test(next.text)) {
+        return parseYamlSequence(state, indent);
+    }
+
+    return null;
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar
+ * @param {Object} state - YAML parser state, positioned after the header line
+ * @param {number} indent - Indentation of the parent key
+ * @param {boolean} folded - Fold single line breaks into spaces
+ * @param {string} chomping - '' (one final newline), '-' (none) or '+' (keep all)
+ * @returns {string} - Block text
+ */
+function parseYamlBlockScalar(state, indent, folded, chomping) {
+    const lines = [];
+    let blockIndent = null;
+
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+
+        if (line.blank) {
+            lines.push('');
+        } else if (line.indent > indent && (blockIndent === null || line.indent >= blockIndent)) {
+            if (blockIndent === null) blockIndent = line.indent;
+            lines.push(' '.repeat(line.indent - blockIndent) + line.text);
+        } else {
+            break;
+        }
+        state.index++;
+    }
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+        trailing++;
+    }
+
+    const text = folded ? foldYamlLines(lines) : lines.join('\n');
+    if (chomping === '-' || text === '') return text;
+    return text + (chomping === '+' ? '\n'.repeat(trailing + 1) : '\n');
+}
+
+/**
+ * Join the lines of a folded block scalar
+ * Single line breaks become spaces; blank lines and more-indented lines
+ * keep their line breaks.
+ * @param {Array<string>} lines - Block lines
+ * @returns {string} - Folded text
+ */
+function foldYamlLines(lines) {
+    return lines.reduce((text, line, index) => {
+        if (index === 0) return line;
+
+        const previous = lines[index - 1];
+        if (line === '') return `${text}\n`;
+        if (previous === '') return text + line;
+        if (/^\s/.test(line) || /^\s/.test(previous)) return `${text}\n${line}`;
+        return `${text} ${line}`;
+    }, '');
+}
+
+/**
+ * Parse a mapping key, which may be quoted
+ * @param {string} raw - Key text
+ * @param {number} lineNumber - Line number, for messages
+ * @returns {string} - Key
+ */
+function parseYamlKey(raw, lineNumber) {
+    return /^["']/.test(raw) ? parseYamlScalar(raw, lineNumber) : raw.trim();
+}
+
+/**
+ * Parse a single-line value: a quoted or plain scalar, or a flow
+ * sequence/mapping ([a, b] or {a: 1})
+ * @param {string} text - Value text, possibly followed by a comment
+ * @param {number} lineNumber - Line number, for messages
+ * @returns {*} - Parsed value
+ */
+function parseYamlScalar(text, lineNumber) {
+    const value = text.trim();
+
+    if (value.startsWith('"')) {
+        const match = value.match(/^"((?:[^"\\]|\\.)*)"[ \t]*(?:#.*)?$/);
+        if (!match) {
+            throw createYamlError('Unterminated double-quoted string (quoted values must fit on one line)', lineNumber);
+        }
+        try {
+            return JSON.parse(`"${match[1].replace(/\\'/g, "'").replace(/\t/g, '\\t')}"`);
+        } catch (error) {
+            throw createYamlError(`Invalid escape sequence in "${match[1]}"`, lineNumber);
+        }
+    }
+
+    if (value.startsWith("'")) {
+        const match = value.match(/^'((?:[^']|'')*)'[ \t]*(?:#.*)?$/);
+        if (!match) {
+            throw createYamlError('Unterminated single-quoted string (quoted values must fit on one line)', lineNumber);
+        }
+        return match[1].replace(/''/g, "'");
+    }
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+        return parseYamlFlow(value, lineNumber);
+    }
+
+    if (/^[&*!]/.test(value)) {
+        throw createYamlError('Anchors, aliases and tags are not supported', lineNumber);
+    }
+
+    return resolveYamlPlain(stripYamlComment(value));
+}
+
+/**
+ * Parse a flow sequence or mapping written on one line
+ * @param {string} text - Value text starting with [ or {
+ * @param {number} lineNumber - Line number, for messages
+ * @returns {Array|Object} - Parsed collection
+ */
+function parseYamlFlow(text, lineNumber) {
+    const open = text[0];
+    const close = open === '[' ? ']' : '}';
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    let end = -1;
+
+    for (let i = 0; i < text.length && end === -1; i++) {
+        const char = text[i];
+
+        if (quote) {
+            current += char;
+            if (char === '\\' && quote === '"') {
+                current += text[++i] || '';
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            quote = char;
+            current += char;
+        } else if (char === '[' || char === '{') {
+            if (depth > 0) current += char;
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+            if (depth === 0) {
+                if (char !== close) break;
+                end = i;
+            } else {
+                current += char;
+            }
+        } else if (char === ',' && depth === 1) {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (end === -1 || stripYamlComment(text.slice(end + 1)) !== '') {
+        throw createYamlError(`Unterminated list or mapping "${text}" (flow collections must fit on one line)`, lineNumber);
+    }
+
+    items.push(current);
+    // A trailing comma leaves an empty last entry
+    const entries = items.map(item => item.trim()).filter((item, index) =>
+        item !== '' || index < items.length - 1
+    );
+
+    if (open === '[') {
+        return entries.map(entry => {
+            if (entry === '') throw createYamlError(`Empty entry in "${text}"`, lineNumber);
+            return parseYamlScalar(entry, lineNumber);
+        });
+    }
+
+    const mapping = {};
+    entries.forEach(entry => {
+        const match = entry.match(YAML_PATTERNS.mappingKey);
+        if (!match) {
+            throw createYamlError(`Expected "key: value" in "${text}", got "${entry}"`, lineNumber);
+        }
+        mapping[parseYamlKey(match[1], lineNumber)] = match[2].trim() === ''
+            ? null
+            : parseYamlScalar(match[2], lineNumber);
+    });
+    return mapping;
+}
+
+/**
+ * Resolve a plain (unquoted) scalar to null, a boolean, a number or a string
+ * @param {string} value - Plain scalar text
+ * @returns {*} - Resolved value
+ */
+function resolveYamlPlain(value) {
+    if (value === '' || value === '~' || /^(?:null|Null|NULL)$/.test(value)) return null;
+    if (/^(?:true|True|TRUE)$/.test(value)) return true;
+    if (/^(?:false|False|FALSE)$/.test(value)) return false;
+    if (YAML_PATTERNS.number.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Remove a trailing " # comment" from a plain value
+ * @param {string} text - Value text
+ * @returns {string} - Value without the comment
+ */
+function stripYamlComment(text) {
+    return text.replace(/(?:^|[ \t]+)#.*$/, '').trim();
+}
+
+/**
+ * Create a YAML syntax error that names the offending line
+ * @param {string} message - What went wrong
+ * @param {number} lineNumber - Line number
+ * @returns {Error} - Error with a `line` property
+ */
+function createYamlError(message, lineNumber) {
+    const error = new Error(`Line ${lineNumber}: ${message}`);
+    error.line = lineNumber;
+    return error;
+}
+
+/**
+ * Check frontmatter data against a schema
+ *
+ * A schema maps field names to rules:
+ *   { type, required, default, enum, items }
+ * where type is 'string', 'number', 'integer', 'boolean', 'date'
+ * (YYYY-MM-DD, optionally with a time), 'array' (with `items` naming the
+ * type of each entry) or 'object'. Fields that are not in the schema are
+ * reported, with a suggestion when they look like a typo.
+ * @param {Object} data - Parsed frontmatter
+ * @param {Object} schema - Field rules
+ * @returns {Object} - { data, errors } with defaults filled in
+ */
+function validateFrontmatter(data, schema) {
+    const errors = [];
+    const result = {};
+    const fields = Object.keys(schema);
+
+    Object.keys(data).forEach(key => {
+        if (!schema[key]) {
+            const suggestion = findClosestField(key, fields);
+            errors.push(`Unknown field "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+        }
+    });
+
+    fields.forEach(field => {
+        const rule = schema[field];
+        const value = data[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                errors.push(`Missing required field "${field}"`);
+            } else if (rule.default !== undefined) {
+                result[field] = Array.isArray(rule.default) ? rule.default.slice() : rule.default;
+            }
+            return;
+        }
+
+        const problem = checkFieldValue(value, rule);
+        if (problem) {
+            errors.push(`Field "${field}" ${problem}`);
+        } else {
+            result[field] = value;
+        }
+    });
+
+    return { data: result, errors };
+}
+
+/**
+ * Check one value against a field rule
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule
+ * @returns {string|null} - Problem description or null when valid
+ */
+function checkFieldValue(value, rule) {
+    const problem = checkFieldType(value, rule.type);
+    if (problem) return problem;
+
+    if (rule.type === 'array' && rule.items) {
+        for (const item of value) {
+            const itemProblem = checkFieldType(item, rule.items);
+            if (itemProblem) return `entries ${itemProblem.replace(/^must/, 'must each')}`;
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        const suggestion = findClosestField(String(value), rule.enum);
+        return `must be one of ${rule.enum.map(option => `"${option}"`).join(', ')}, got "${value}"` +
+               (suggestion ? ` (did you mean "${suggestion}"?)` : '');
+    }
+
+    return null;
+}
+
+/**
+ * Check the type of a value
+ * @param {*} value - Value to check
+ * @param {string} type - Expected type
+ * @returns {string|null} - Problem description or null when valid
+ */
+function checkFieldType(value, type) {
+    const actual = Array.isArray(value) ? 'list' : value === null ? 'null' : typeof value;
+
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' ? null : `must be text, got ${actual}`;
+        case 'number':
+            return typeof value === 'number' ? null : `must be a number, got ${actual}`;
+        case 'integer':
+            return Number.isInteger(value) ? null : `must be a whole number, got ${JSON.stringify(value)}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+        case 'date':
+            return typeof value === 'string' && isValidFrontmatterDate(value)
+                ? null
+                : `must be a date in YYYY-MM-DD format, got ${JSON.stringify(value)}`;
+        case 'array':
+            return Array.isArray(value) ? null : `must be a list, got ${actual}`;
+        case 'object':
+            return actual === 'object' ? null : `must be a set of fields, got ${actual}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check that a date string is well-formed and names a real calendar day
+ * @param {string} value - Date string
+ * @returns {boolean}
+ */
+function isValidFrontmatterDate(value) {
+    const match = value.match(YAML_PATTERNS.date);
+    if (!match) return false;
+
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year &&
+           date.getUTCMonth() === month - 1 &&
+           date.getUTCDate() === day;
+}
+
+/**
+ * Find the candidate closest to a misspelled name
+ * @param {string} name - Misspelled name
+ * @param {Array<string>} candidates - Valid names
+ * @returns {string|null} - Closest candidate within two edits, or null
+ */
+function findClosestField(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+
+    candidates.forEach(candidate => {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Export for Node.js build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseFrontmatter,
+        parseYaml,
+        validateFrontmatter
+    };
+}
@@ -3,6 +3,11 @@
  * Handles navigation, smooth scrolling, form submission, and animations
  */
 
+// The service worker sits at the site root, two levels above this script
+const SERVICE_WORKER_URL = document.currentScript
+    ? new URL('../../sw.js', document.currentScript.src).href
+    : null;
+
 // Wait for DOM to be fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize all functionality
@@ -11,6 +16,7 @@ document.addEventListener('DOMContentLoaded', function() {
     initContactForm();
     initAnimations();
     initThemeToggle();
+    initServiceWorker();
 });
 
 /**
@@ -359,6 +365,18 @@ function initThemeToggle() {
     });
 }
 
+/**
+ * Register the service worker that keeps pages readable offline
+ */
+function initServiceWorker() {
+    if (!('serviceWorker' in navigator) || !SERVICE_WORKER_URL) return;
+    
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(function(error) {
+        // e.g. the site is opened from file:// or over plain HTTP
+        console.warn('Offline reading unavailable:', error);
+    });
+}
+
 /**
  * Utility Functions
  */
@@ -2,422 +2,2363 @@
  * Simple Markdown Parser
  * Converts markdown text to HTML
  * Supports common markdown syntax including headings, lists, links, code blocks, etc.
+ *
+ * Parsing happens in two phases: source lines are first grouped into a tree
+ * of block nodes (collecting link and footnote definitions on the way), then
+ * the text of every leaf block is parsed into inline nodes. The resulting
+ * AST is turned into HTML by a separate renderer, so other output formats
+ * can walk the same structure.
  */
 
+// Line patterns used by the block phase
+const BLOCK_PATTERNS = {
+    blank: /^[ \t]*$/,
+    fence: /^ {0,3}(`{3,}|~{3,})(.*)$/,
+    atxHeading: /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/,
+    setextUnderline: /^ {0,3}(=+|-+)[ \t]*$/,
+    thematicBreak: /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/,
+    tableDelimiter: /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+    taskMarker: /^\[([ xX])\](?=[ \t]|$)[ \t]*/,
+    blockquote: /^ {0,3}> ?/,
+    listItem: /^( {0,3})([-*+]|\d{1,9}[.)])(?=[ \t]|$)([ \t]*)(.*)$/,
+    htmlComment: /^ {0,3}<!--/,
+    htmlTag: /^ {0,3}<\/?([A-Za-z][A-Za-z0-9-]*)(?=[\s/>]|$)/,
+    htmlLoneTag: /^ {0,3}(?:<[A-Za-z][A-Za-z0-9-]*(?:\s+[^<>]*)?\/?>|<\/[A-Za-z][A-Za-z0-9-]*\s*>)[ \t]*$/,
+    linkDefinition: /^ {0,3}\[(?!\^)((?:[^\\[\]]|\\.)+)\]:[ \t]*(<[^<>\n]*>|\S+)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/,
+    linkTitle: /^[ \t]*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))[ \t]*$/,
+    footnoteDefinition: /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/
+};
+
+// Tags that always start a raw HTML block when they open a line
+const HTML_BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div',
+    'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'iframe', 'li', 'main', 'nav', 'ol', 'p',
+    'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'tr', 'ul', 'video', 'audio', 'picture', 'script', 'style'
+];
+
+// Allowlists used when rendering untrusted markdown
+const SANITIZE_DEFAULTS = {
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del',
+        'details', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3',
+        'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p',
+        'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+        'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var'
+    ],
+    allowedAttributes: {
+        '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-label', 'aria-hidden'],
+        a: ['href', 'name', 'rel', 'target'],
+        img: ['src', 'alt', 'width', 'height', 'loading'],
+        ol: ['start', 'reversed', 'type'],
+        li: ['value'],
+        td: ['colspan', 'rowspan', 'align'],
+        th: ['colspan', 'rowspan', 'align', 'scope'],
+        details: ['open'],
+        q: ['cite'],
+        blockquote: ['cite']
+    },
+    urlAttributes: ['href', 'src', 'cite'],
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    // Authored ids and anchor names get this prefix, so they cannot take
+    // over ids of the page (post-content, search-input, ...) or clash with
+    // generated heading anchors
+    idPrefix: 'user-content-',
+    idAttributes: ['id', 'name'],
+    // Removed together with everything inside them
+    droppedTags: [
+        'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+        'textarea', 'title', 'xmp', 'noembed', 'noframes', 'plaintext', 'svg',
+        'math', 'select', 'frame', 'frameset'
+    ]
+};
+
 /**
  * Parse markdown text to HTML
+ * Output is sanitized unless `trusted` is set: raw HTML is reduced to an
+ * allowlist of tags and attributes, and links/images with a scheme outside
+ * the allowlist (javascript:, data:, ...) are dropped.
  * @param {string} markdown - Raw markdown text
+ * @param {Object} options - Parser options
+ * @param {boolean} options.trusted - Let authored HTML and URLs through unchanged
+ * @param {Object} options.sanitize - Overrides for SANITIZE_DEFAULTS
+ * @param {boolean} options.highlight - Highlight fenced code (default true)
+ * @param {boolean} options.lineNumbers - Number the lines of every code block
+ * @param {boolean} options.headingAnchors - Add a permalink to every heading (default true)
+ * @param {Array<Function|Array>} options.plugins - Plugins to apply, in order
+ *        (a plugin function, or [plugin, pluginOptions])
  * @returns {string} - HTML string
  */
-function parseMarkdown(markdown) {
+function parseMarkdown(markdown, options = {}) {
     if (!markdown || typeof markdown !== 'string') {
         return '';
     }
-    
-    let html = markdown;
-    
-    // Process in order of precedence to avoid conflicts
-    html = parseCodeBlocks(html);
-    html = parseInlineCode(html);
-    html = parseHeaders(html);
-    html = parseBlockquotes(html);
-    html = parseLists(html);
-    html = parseLinks(html);
-    html = parseImages(html);
-    html = parseEmphasis(html);
-    html = parseLineBreaks(html);
-    html = parseParagraphs(html);
-    
-    return html.trim();
-}
-
-/**
- * Parse code blocks (```code```)
- * @param {string} text - Text to parse
- * @returns {string} - Text with code blocks converted to HTML
- */
-function parseCodeBlocks(text) {
-    // Multi-line code blocks with language specification
-    text = text.replace(/```(\w+)?\n([\s\S]*?)\n```/g, function(match, language, code) {
-        const lang = language ? ` class="language-${language}"` : '';
-        const escapedCode = escapeHtml(code.trim());
-        return `<pre><code${lang}>${escapedCode}</code></pre>`;
-    });
-    
-    // Multi-line code blocks without language
-    text = text.replace(/```\n([\s\S]*?)\n```/g, function(match, code) {
-        const escapedCode = escapeHtml(code.trim());
-        return `<pre><code>${escapedCode}</code></pre>`;
-    });
-    
-    return text;
+
+    const parser = options.plugins && options.plugins.length > 0
+        ? createMarkdownParser(options.plugins)
+        : getDefaultMarkdownParser();
+
+    return parser.parse(markdown, options);
 }
 
 /**
- * Parse inline code (`code`)
- * @param {string} text - Text to parse
- * @returns {string} - Text with inline code converted to HTML
+ * Parse markdown text to HTML and return the heading outline with it
+ * @param {string} markdown - Raw markdown text
+ * @param {Object} options - Parser options (see parseMarkdown)
+ * @returns {Object} - { html, outline } where outline is [{ depth, text, id }]
  */
-function parseInlineCode(text) {
-    return text.replace(/`([^`]+)`/g, '<code>$1</code>');
+function parseMarkdownWithOutline(markdown, options = {}) {
+    if (!markdown || typeof markdown !== 'string') {
+        return { html: '', outline: [] };
+    }
+
+    const parser = options.plugins && options.plugins.length > 0
+        ? createMarkdownParser(options.plugins)
+        : getDefaultMarkdownParser();
+
+    return parser.parseWithOutline(markdown, options);
 }
 
 /**
- * Parse headers (# ## ### etc.)
- * @param {string} text - Text to parse
- * @returns {string} - Text with headers converted to HTML
+ * Parse markdown text into an AST
+ * @param {string} markdown - Raw markdown text
+ * @returns {Object} - Root node of the form { type: 'document', children }
  */
-function parseHeaders(text) {
-    return text.replace(/^(#{1,6})\s+(.+)$/gm, function(match, hashes, content) {
-        const level = hashes.length;
-        const id = generateHeaderId(content);
-        return `<h${level} id="${id}">${content.trim()}</h${level}>`;
-    });
+function parseMarkdownToAst(markdown) {
+    return getDefaultMarkdownParser().parseToAst(markdown);
 }
 
 /**
- * Generate ID for header
- * @param {string} text - Header text
- * @returns {string} - Generated ID
+ * Collect the headings of a document, in order
+ * @param {Object} root - Root node
+ * @returns {Array<Object>} - [{ depth, text, id }]
  */
-function generateHeaderId(text) {
-    return text
-        .toLowerCase()
-        .replace(/[^\w\s-]/g, '') // Remove special characters
-        .replace(/\s+/g, '-') // Replace spaces with hyphens
-        .trim();
+function getHeadingOutline(root) {
+    const outline = [];
+
+    const walk = node => {
+        if (node.type === 'heading') {
+            outline.push({ depth: node.depth, text: getTextContent(node).trim(), id: node.id });
+        } else if (node.children && !['listItem', 'blockquote', 'footnotes'].includes(node.type)) {
+            node.children.forEach(walk);
+        }
+    };
+    walk(root);
+
+    return outline;
 }
 
+/* ------------------------------------------------------------------------
+ * Parser instances and plugins
+ * --------------------------------------------------------------------- */
+
+// Built-in block rules, tried in this order; paragraph always matches last
+const BUILTIN_BLOCK_RULES = [
+    { name: 'fence', parse: parseFencedCode },
+    { name: 'atxHeading', parse: parseAtxHeading },
+    { name: 'thematicBreak', parse: parseThematicBreak },
+    { name: 'blockquote', parse: parseBlockquote },
+    { name: 'list', parse: parseList },
+    { name: 'html', parse: parseHtmlBlock },
+    { name: 'indentedCode', parse: parseIndentedCode },
+    { name: 'table', parse: parseTable },
+    { name: 'footnoteDefinition', parse: parseFootnoteDefinition },
+    { name: 'definition', parse: parseLinkDefinition },
+    { name: 'paragraph', parse: parseParagraph }
+];
+
+// Shared instance without plugins, created on first use
+let defaultMarkdownParser = null;
+
 /**
- * Parse blockquotes (> text)
- * @param {string} text - Text to parse
- * @returns {string} - Text with blockquotes converted to HTML
+ * Get the parser used by parseMarkdown when no plugins are given
+ * @returns {Object} - Markdown parser instance
  */
-function parseBlockquotes(text) {
-    return text.replace(/^>\s+(.+)$/gm, '<blockquote>$1</blockquote>');
+function getDefaultMarkdownParser() {
+    if (!defaultMarkdownParser) {
+        defaultMarkdownParser = createMarkdownParser();
+    }
+    return defaultMarkdownParser;
 }
 
 /**
- * Parse lists (- item or 1. item)
- * @param {string} text - Text to parse
- * @returns {string} - Text with lists converted to HTML
+ * Create a markdown parser that plugins can extend
+ *
+ * A plugin is a function called with the parser (and its options) that
+ * registers rules through the parser's methods:
+ *
+ *   function notePlugin(md) {
+ *       md.addBlockRule({
+ *           name: 'note',
+ *           before: 'paragraph',
+ *           interrupts: line => line.startsWith(':::note'),
+ *           parse(lines, start, context) { ... return { node, next }; }
+ *       });
+ *       md.addRenderer('note', (node, helpers) =>
+ *           `<aside class="note">${helpers.renderBlocks(node.children)}</aside>`);
+ *   }
+ *
+ *   createMarkdownParser().use(notePlugin).parse(markdown);
+ *
+ * Plugins run in the order they are added, and a renderer registered for a
+ * node type that already has one receives the previous renderer through
+ * helpers.renderDefault(), so overrides compose.
+ * @param {Array<Function|Array>} plugins - Plugins to apply right away
+ * @returns {Object} - Parser instance
  */
-function parseLists(text) {
-    // Unordered lists
-    text = text.replace(/^(\s*)-\s+(.+)$/gm, function(match, indent, content) {
-        const level = indent.length / 2; // Assuming 2 spaces per level
-        return `<li data-level="${level}">${content}</li>`;
-    });
-    
-    // Ordered lists
-    text = text.replace(/^(\s*)\d+\.\s+(.+)$/gm, function(match, indent, content) {
-        const level = indent.length / 2;
-        return `<li data-level="${level}" data-ordered="true">${content}</li>`;
+function createMarkdownParser(plugins = []) {
+    const blockRules = BUILTIN_BLOCK_RULES.slice();
+    const inlineRules = [];
+    const renderers = {};
+    const transforms = [];
+
+    const parser = {
+        /**
+         * Apply a plugin
+         * @param {Function} plugin - Plugin function (parser, pluginOptions)
+         * @param {*} pluginOptions - Options passed to the plugin
+         * @returns {Object} - The parser, for chaining
+         */
+        use(plugin, pluginOptions) {
+            if (typeof plugin !== 'function') {
+                throw new TypeError('Markdown plugin must be a function');
+            }
+            plugin(parser, pluginOptions);
+            return parser;
+        },
+
+        /**
+         * Register a block rule
+         * The rule is tried before the rule named in `before` (default:
+         * 'paragraph') or after the one named in `after`. parse() returns
+         * { node, next } or null; a node with a string `content` gets inline
+         * children, and one with `children` is walked for nested blocks.
+         * @param {Object} rule - { name, parse(lines, start, context), interrupts(line), before, after }
+         * @returns {Object} - The parser, for chaining
+         */
+        addBlockRule(rule) {
+            const anchor = rule.after || rule.before || 'paragraph';
+            const index = blockRules.findIndex(existing => existing.name === anchor);
+            if (index === -1) {
+                throw new Error(`Unknown markdown block rule: ${anchor}`);
+            }
+            blockRules.splice(rule.after ? index + 1 : index, 0, rule);
+            return parser;
+        },
+
+        /**
+         * Register an inline rule
+         * Inline rules run before the built-in syntax, in registration order,
+         * at every character listed in `triggers` (or at every character when
+         * no triggers are given). parse() consumes input by advancing
+         * state.pos and adds nodes with state.push(node); it returns true if
+         * it handled the current position.
+         * @param {Object} rule - { name, triggers, parse(state, context) }
+         * @returns {Object} - The parser, for chaining
+         */
+        addInlineRule(rule) {
+            inlineRules.push(rule);
+            return parser;
+        },
+
+        /**
+         * Register a renderer for a node type
+         * @param {string} type - Node type ('image', 'link', or a custom type)
+         * @param {Function} render - (node, helpers) => HTML string
+         * @returns {Object} - The parser, for chaining
+         */
+        addRenderer(type, render) {
+            renderers[type] = composeRenderer(renderers[type], render);
+            return parser;
+        },
+
+        /**
+         * Register an AST transform, run after the inline phase
+         * @param {Function} transform - (root, context) => void
+         * @returns {Object} - The parser, for chaining
+         */
+        addTransform(transform) {
+            transforms.push(transform);
+            return parser;
+        },
+
+        /**
+         * Parse markdown into an AST
+         * @param {string} markdown - Raw markdown text
+         * @returns {Object} - Root node
+         */
+        parseToAst(markdown) {
+            const source = typeof markdown === 'string' ? markdown : '';
+            const lines = source.replace(/\r\n?/g, '\n').split('\n');
+            const context = createParseContext(blockRules, inlineRules);
+
+            const root = { type: 'document', children: parseBlocks(lines, context) };
+            resolveInlines(root, context);
+            collectFootnotes(root);
+            transforms.forEach(transform => transform(root, context));
+            assignHeadingIds(root);
+
+            return root;
+        },
+
+        /**
+         * Render an AST to HTML with this parser's renderers
+         * @param {Object} root - Root node
+         * @param {Object} options - Parser options (see parseMarkdown)
+         * @returns {string} - HTML string
+         */
+        render(root, options = {}) {
+            return renderHtml(root, createRenderOptions(options, renderers)).trim();
+        },
+
+        /**
+         * Parse markdown text to HTML
+         * @param {string} markdown - Raw markdown text
+         * @param {Object} options - Parser options (see parseMarkdown)
+         * @returns {string} - HTML string
+         */
+        parse(markdown, options = {}) {
+            return parser.render(parser.parseToAst(markdown), options);
+        },
+
+        /**
+         * Parse markdown text to HTML along with its heading outline
+         * @param {string} markdown - Raw markdown text
+         * @param {Object} options - Parser options (see parseMarkdown)
+         * @returns {Object} - { html, outline }
+         */
+        parseWithOutline(markdown, options = {}) {
+            const root = parser.parseToAst(markdown);
+            return { html: parser.render(root, options), outline: getHeadingOutline(root) };
+        }
+    };
+
+    plugins.forEach(plugin => {
+        if (Array.isArray(plugin)) {
+            parser.use(plugin[0], plugin[1]);
+        } else {
+            parser.use(plugin);
+        }
     });
-    
-    // Wrap consecutive list items in ul/ol tags
-    text = wrapListItems(text);
-    
-    return text;
+
+    return parser;
 }
 
 /**
- * Wrap list items in appropriate ul/ol tags
- * @param {string} text - Text containing list items
- * @returns {string} - Text with wrapped lists
+ * Create the context shared by the block and inline phases of one parse
+ * The block phase fills `definitions` (link reference definitions by
+ * label) and `footnoteLabels`, which the inline phase resolves against.
+ * @param {Array<Object>} blockRules - Ordered block rules
+ * @param {Array<Object>} inlineRules - Ordered inline rules
+ * @returns {Object} - Parse context
  */
-function wrapListItems(text) {
-    const lines = text.split('\n');
-    const result = [];
-    let inList = false;
-    let listStack = [];
-    
-    for (let i = 0; i < lines.length; i++) {
+function createParseContext(blockRules, inlineRules) {
+    const context = {
+        blockRules,
+        inlineRules,
+        definitions: new Map(),
+        footnoteLabels: new Set(),
+        parseBlocks: lines => parseBlocks(lines, context),
+        parseInlines: text => parseInlines(text, context)
+    };
+    return context;
+}
+
+/**
+ * Normalize parser options into render options
+ * @param {Object} options - Parser options (see parseMarkdown)
+ * @param {Object} renderers - Renderers by node type
+ * @returns {Object} - Render options
+ */
+function createRenderOptions(options, renderers) {
+    return {
+        trusted: Boolean(options.trusted),
+        sanitize: Object.assign({}, SANITIZE_DEFAULTS, options.sanitize),
+        highlight: options.highlight !== false,
+        lineNumbers: Boolean(options.lineNumbers),
+        headingAnchors: options.headingAnchors !== false,
+        renderers
+    };
+}
+
+/**
+ * Chain a plugin renderer on top of the renderer it replaces
+ * @param {Function|undefined} previous - Renderer registered before
+ * @param {Function} render - Plugin renderer (node, helpers)
+ * @returns {Function} - Renderer (node, options)
+ */
+function composeRenderer(previous, render) {
+    return function(node, options) {
+        const renderDefault = () => previous ? previous(node, options) : renderNode(node, options);
+        return render(node, {
+            options,
+            renderDefault,
+            renderBlocks: children => renderBlockChildren(children, false, options),
+            renderInlines: children => renderInlineChildren(children, options),
+            escapeHtml
+        });
+    };
+}
+
+/* ------------------------------------------------------------------------
+ * Block phase
+ * --------------------------------------------------------------------- */
+
+/**
+ * Group lines into block nodes
+ * Leaf blocks keep their raw text in `content` until the inline phase runs.
+ * @param {Array<string>} lines - Source lines
+ * @param {Object} context - Parse context
+ * @returns {Array<Object>} - Block nodes
+ */
+function parseBlocks(lines, context) {
+    const nodes = [];
+    let i = 0;
+
+    while (i < lines.length) {
         const line = lines[i];
-        const listMatch = line.match(/<li data-level="(\d+)"(?: data-ordered="true")?>(.*)<\/li>/);
-        
-        if (listMatch) {
-            const level = parseInt(listMatch[1]);
-            const isOrdered = line.includes('data-ordered="true"');
-            const content = listMatch[2];
-            
-            if (!inList) {
-                // Start new list
-                inList = true;
-                listStack = [{ level, isOrdered }];
-                result.push(isOrdered ? '<ol>' : '<ul>');
-                result.push(`<li>${content}</li>`);
-            } else {
-                const currentList = listStack[listStack.length - 1];
-                
-                if (level === currentList.level && isOrdered === currentList.isOrdered) {
-                    // Same level, same type
-                    result.push(`<li>${content}</li>`);
-                } else if (level > currentList.level) {
-                    // Nested list
-                    listStack.push({ level, isOrdered });
-                    result.push(isOrdered ? '<ol>' : '<ul>');
-                    result.push(`<li>${content}</li>`);
-                } else {
-                    // Close nested lists
-                    while (listStack.length > 0 && listStack[listStack.length - 1].level >= level) {
-                        const closingList = listStack.pop();
-                        result.push(closingList.isOrdered ? '</ol>' : '</ul>');
-                    }
-                    
-                    if (listStack.length === 0) {
-                        // Start new list
-                        listStack = [{ level, isOrdered }];
-                        result.push(isOrdered ? '<ol>' : '<ul>');
-                    }
-                    result.push(`<li>${content}</li>`);
-                }
+
+        if (isBlankLine(line)) {
+            i++;
+            continue;
+        }
+
+        for (const rule of context.blockRules) {
+            const block = rule.parse(lines, i, context);
+            if (block) {
+                nodes.push(block.node);
+                i = block.next;
+                break;
             }
+        }
+    }
+
+    return nodes;
+}
+
+/**
+ * Parse a fenced code block (``` or ~~~)
+ * An unclosed fence runs to the end of the input.
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseFencedCode(lines, start) {
+    const match = lines[start].match(BLOCK_PATTERNS.fence);
+    if (!match) return null;
+
+    const fence = match[1];
+    const info = match[2].trim();
+    if (fence[0] === '`' && info.includes('`')) return null;
+
+    const indent = leadingIndent(lines[start]);
+    const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+    const codeLines = [];
+    let i = start + 1;
+
+    while (i < lines.length && !closing.test(lines[i])) {
+        codeLines.push(stripIndent(lines[i], indent));
+        i++;
+    }
+
+    // The first word of the info string is the language, the rest is
+    // metadata such as line highlight ranges: ```js {1,3-5} showLineNumbers
+    const lang = (info.match(/^[^\s{]+/) || [''])[0];
+
+    return {
+        node: {
+            type: 'code',
+            lang,
+            info,
+            meta: info.slice(lang.length).trim(),
+            value: codeLines.join('\n')
+        },
+        next: i + 1
+    };
+}
+
+/**
+ * Parse an ATX heading (# Heading)
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseAtxHeading(lines, start) {
+    const match = lines[start].match(BLOCK_PATTERNS.atxHeading);
+    if (!match) return null;
+
+    // Drop an optional closing sequence of #'s
+    const content = match[2].replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+
+    return {
+        node: { type: 'heading', depth: match[1].length, content },
+        next: start + 1
+    };
+}
+
+/**
+ * Parse a horizontal rule (---, *** or ___)
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseThematicBreak(lines, start) {
+    if (!BLOCK_PATTERNS.thematicBreak.test(lines[start])) return null;
+
+    return { node: { type: 'thematicBreak' }, next: start + 1 };
+}
+
+/**
+ * Parse a blockquote (> text), including lazy continuation lines
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @param {Object} context - Parse context
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseBlockquote(lines, start, context) {
+    if (!BLOCK_PATTERNS.blockquote.test(lines[start])) return null;
+
+    const innerLines = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (BLOCK_PATTERNS.blockquote.test(line)) {
+            innerLines.push(line.replace(BLOCK_PATTERNS.blockquote, ''));
+        } else if (!isBlankLine(line) && isLazyContinuation(innerLines, line, context)) {
+            innerLines.push(line);
         } else {
-            if (inList) {
-                // Close all open lists
-                while (listStack.length > 0) {
-                    const closingList = listStack.pop();
-                    result.push(closingList.isOrdered ? '</ol>' : '</ul>');
-                }
-                inList = false;
+            break;
+        }
+        i++;
+    }
+
+    return {
+        node: { type: 'blockquote', children: parseBlocks(innerLines, context) },
+        next: i
+    };
+}
+
+/**
+ * Parse a bullet or ordered list together with all of its items
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @param {Object} context - Parse context
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseList(lines, start, context) {
+    const first = matchListItem(lines[start]);
+    if (!first) return null;
+
+    const list = {
+        type: 'list',
+        ordered: first.ordered,
+        start: first.ordered ? first.number : null,
+        tight: true,
+        children: []
+    };
+    let i = start;
+
+    while (i < lines.length) {
+        const marker = matchListItem(lines[i]);
+        if (!marker || marker.ordered !== first.ordered || marker.delimiter !== first.delimiter ||
+            BLOCK_PATTERNS.thematicBreak.test(lines[i])) {
+            break;
+        }
+
+        const itemLines = [marker.content];
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlankLine(line)) {
+                itemLines.push('');
+            } else if (leadingIndent(line) >= marker.contentIndent) {
+                itemLines.push(stripIndent(line, marker.contentIndent));
+            } else if (itemLines[itemLines.length - 1] !== '' &&
+                       !matchListItem(line) &&
+                       isLazyContinuation(itemLines, line, context)) {
+                itemLines.push(line);
+            } else {
+                break;
             }
-            result.push(line);
-        }
-    }
-    
-    // Close any remaining open lists
-    while (listStack.length > 0) {
-        const closingList = listStack.pop();
-        result.push(closingList.isOrdered ? '</ol>' : '</ul>');
-    }
-    
-    return result.join('\n');
-}
-
-/**
- * Parse links ([text](url) or [text](url "title"))
- * @param {string} text - Text to parse
- * @returns {string} - Text with links converted to HTML
- */
-function parseLinks(text) {
-    // Links with title
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\s+"([^"]+)"\)/g, 
-        '<a href="$2" title="$3">$1</a>');
-    
-    // Links without title
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-    
-    // Auto-links for URLs
-    text = text.replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>');
-    
-    return text;
-}
-
-/**
- * Parse images (![alt](src) or ![alt](src "title"))
- * @param {string} text - Text to parse
- * @returns {string} - Text with images converted to HTML
- */
-function parseImages(text) {
-    // Images with title
-    text = text.replace(/!\[([^\]]*)\]\(([^)]+)\s+"([^"]+)"\)/g, 
-        '<img src="$2" alt="$1" title="$3">');
-    
-    // Images without title
-    text = text.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<img src="$2" alt="$1">');
-    
-    return text;
-}
-
-/**
- * Parse emphasis (**bold**, *italic*, ~~strikethrough~~)
- * @param {string} text - Text to parse
- * @returns {string} - Text with emphasis converted to HTML
- */
-function parseEmphasis(text) {
-    // Bold
-    text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-    text = text.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-    
-    // Italic
-    text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-    text = text.replace(/_([^_]+)_/g, '<em>$1</em>');
-    
-    // Strikethrough
-    text = text.replace(/~~([^~]+)~~/g, '<del>$1</del>');
-    
-    return text;
-}
-
-/**
- * Parse line breaks
- * @param {string} text - Text to parse
- * @returns {string} - Text with line breaks converted to HTML
- */
-function parseLineBreaks(text) {
-    // Two spaces at end of line = line break
-    text = text.replace(/  \n/g, '<br>\n');
-    
-    // Two or more newlines = paragraph break
-    text = text.replace(/\n{2,}/g, '\n\n');
-    
-    return text;
-}
-
-/**
- * Parse paragraphs
- * @param {string} text - Text to parse
- * @returns {string} - Text with paragraphs wrapped in <p> tags
- */
-function parseParagraphs(text) {
-    const lines = text.split('\n\n');
-    const paragraphs = [];
-    
-    for (let line of lines) {
-        line = line.trim();
-        if (line) {
-            // Don't wrap if it's already a block element
-            if (isBlockElement(line)) {
-                paragraphs.push(line);
+            i++;
+        }
+
+        // Blank lines after an item separate it from the next one
+        let trailingBlanks = 0;
+        while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+            itemLines.pop();
+            trailingBlanks++;
+        }
+
+        const children = parseBlocks(itemLines, context);
+        if (children.length > 1 && itemLines.includes('')) {
+            list.tight = false;
+        }
+        list.children.push(createListItem(children));
+
+        if (trailingBlanks > 0) {
+            const next = i < lines.length ? matchListItem(lines[i]) : null;
+            if (next && next.ordered === first.ordered && next.delimiter === first.delimiter &&
+                !BLOCK_PATTERNS.thematicBreak.test(lines[i])) {
+                list.tight = false;
             } else {
-                paragraphs.push(`<p>${line}</p>`);
+                break;
             }
         }
     }
-    
-    return paragraphs.join('\n\n');
+
+    return { node: list, next: i };
 }
 
 /**
- * Check if text starts with a block element
- * @param {string} text - Text to check
- * @returns {boolean} - Whether text starts with block element
+ * Create a list item node, detecting GFM task list markers ([ ] / [x])
+ * @param {Array<Object>} children - Block nodes of the item
+ * @returns {Object} - listItem node
  */
-function isBlockElement(text) {
-    const blockTags = [
-        '<h1', '<h2', '<h3', '<h4', '<h5', '<h6',
-        '<p>', '<div', '<blockquote', '<pre', '<ul', '<ol', '<li',
-        '<table', '<form', '<fieldset', '<address'
-    ];
-    
-    return blockTags.some(tag => text.startsWith(tag));
+function createListItem(children) {
+    const item = { type: 'listItem', checked: null, children };
+    const first = children[0];
+
+    if (first && first.type === 'paragraph') {
+        const match = first.content.match(BLOCK_PATTERNS.taskMarker);
+        if (match && match[0].length < first.content.length) {
+            item.checked = match[1] !== ' ';
+            first.content = first.content.slice(match[0].length);
+        }
+    }
+
+    return item;
 }
 
 /**
- * Escape HTML characters
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
+ * Match a list item marker (-, *, + or 1. / 1))
+ * @param {string} line - Line to check
+ * @returns {Object|null} - Marker details or null
  */
-function escapeHtml(text) {
-    const htmlEscapes = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#39;'
+function matchListItem(line) {
+    const match = line.match(BLOCK_PATTERNS.listItem);
+    if (!match) return null;
+
+    const [, indent, marker, padding, rest] = match;
+    const ordered = /\d/.test(marker[0]);
+    let contentIndent = indent.length + marker.length + padding.length;
+    let content = rest;
+
+    if (!rest) {
+        // Item that starts with a blank line
+        contentIndent = indent.length + marker.length + 1;
+    } else if (padding.length > 4) {
+        // Indented code inside the item: only one space belongs to the marker
+        contentIndent = indent.length + marker.length + 1;
+        content = padding.slice(1) + rest;
+    }
+
+    return {
+        ordered,
+        number: ordered ? parseInt(marker, 10) : null,
+        delimiter: ordered ? marker[marker.length - 1] : marker,
+        contentIndent,
+        content
     };
-    
-    return text.replace(/[&<>"']/g, function(match) {
-        return htmlEscapes[match];
+}
+
+/**
+ * Parse a raw HTML block, which runs until the next blank line
+ * (or the end of the comment for <!-- -->)
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseHtmlBlock(lines, start) {
+    if (!startsHtmlBlock(lines[start], false)) return null;
+
+    const isComment = BLOCK_PATTERNS.htmlComment.test(lines[start]);
+    const htmlLines = [];
+    let i = start;
+
+    while (i < lines.length) {
+        if (!isComment && isBlankLine(lines[i])) break;
+        htmlLines.push(lines[i]);
+        i++;
+        if (isComment && htmlLines[htmlLines.length - 1].includes('-->')) break;
+    }
+
+    return {
+        node: { type: 'html', value: htmlLines.join('\n') },
+        next: i
+    };
+}
+
+/**
+ * Check whether a line opens a raw HTML block
+ * @param {string} line - Line to check
+ * @param {boolean} interrupting - Whether the line would interrupt a paragraph
+ * @returns {boolean}
+ */
+function startsHtmlBlock(line, interrupting) {
+    if (BLOCK_PATTERNS.htmlComment.test(line)) return true;
+
+    const tagMatch = line.match(BLOCK_PATTERNS.htmlTag);
+    if (tagMatch && HTML_BLOCK_TAGS.includes(tagMatch[1].toLowerCase())) return true;
+
+    // A lone inline tag may start an HTML block, but cannot interrupt a paragraph
+    return !interrupting && BLOCK_PATTERNS.htmlLoneTag.test(line);
+}
+
+/**
+ * Parse an indented code block (four spaces or a tab)
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseIndentedCode(lines, start) {
+    if (leadingIndent(lines[start]) < 4) return null;
+
+    const codeLines = [];
+    let i = start;
+
+    while (i < lines.length && (isBlankLine(lines[i]) || leadingIndent(lines[i]) >= 4)) {
+        codeLines.push(stripIndent(lines[i], 4));
+        i++;
+    }
+
+    while (codeLines.length && isBlankLine(codeLines[codeLines.length - 1])) {
+        codeLines.pop();
+    }
+
+    return {
+        node: { type: 'code', lang: '', info: '', meta: '', value: codeLines.join('\n') },
+        next: start + codeLines.length
+    };
+}
+
+/**
+ * Parse a GFM table: a header row, a delimiter row (|:---|:---:|---:|)
+ * and body rows up to the next blank line or block
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @param {Object} context - Parse context
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseTable(lines, start, context) {
+    if (!startsTable(lines, start)) return null;
+
+    const align = splitTableRow(lines[start + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
     });
+
+    const createRow = line => {
+        const cells = splitTableRow(line);
+        return {
+            type: 'tableRow',
+            children: align.map((_, index) => ({
+                type: 'tableCell',
+                content: cells[index] || ''
+            }))
+        };
+    };
+
+    const table = {
+        type: 'table',
+        align,
+        children: [createRow(lines[start])]
+    };
+    let i = start + 2;
+
+    while (i < lines.length && !isBlankLine(lines[i]) && !interruptsParagraph(lines[i], context)) {
+        table.children.push(createRow(lines[i]));
+        i++;
+    }
+
+    return { node: table, next: i };
 }
 
 /**
- * Parse tables (| col1 | col2 |)
- * @param {string} text - Text to parse
- * @returns {string} - Text with tables converted to HTML
+ * Check whether a table starts at the given line: the header row and
+ * the delimiter row below it must have the same number of cells
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the header row
+ * @returns {boolean}
  */
-function parseTables(text) {
-    const lines = text.split('\n');
-    const result = [];
-    let inTable = false;
-    let tableRows = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        if (line.startsWith('|') && line.endsWith('|')) {
-            // This is a table row
-            if (!inTable) {
-                inTable = true;
-                tableRows = [];
-            }
-            
-            // Parse the row
-            const cells = line.slice(1, -1).split('|').map(cell => cell.trim());
-            tableRows.push(cells);
-            
-            // Check if next line is a separator (|---|---|)
-            if (i + 1 < lines.length && lines[i + 1].trim().match(/^\|[\s\-\|]*\|$/)) {
-                // Skip separator line
-                i++;
-            }
+function startsTable(lines, start) {
+    const header = lines[start];
+    const delimiter = lines[start + 1];
+
+    if (delimiter === undefined || !header.includes('|') ||
+        !BLOCK_PATTERNS.tableDelimiter.test(delimiter) ||
+        leadingIndent(header) >= 4) {
+        return false;
+    }
+
+    // A delimiter row without pipes is a setext underline, not a table
+    if (!delimiter.includes('|') && splitTableRow(header).length !== 1) {
+        return false;
+    }
+
+    return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+/**
+ * Split a table row into trimmed cell sources
+ * Escaped pipes (\|) stay inside the cell as literal pipes.
+ * @param {string} line - Table row
+ * @returns {Array<string>} - Cell sources
+ */
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let cell = '';
+
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
         } else {
-            if (inTable) {
-                // End of table, process it
-                result.push(createTable(tableRows));
-                inTable = false;
-                tableRows = [];
-            }
-            result.push(line);
+            cell += row[i];
+        }
+    }
+    cells.push(cell.trim());
+
+    return cells;
+}
+
+/**
+ * Parse a link reference definition: [label]: url "title"
+ * The title may also sit on the following line. When a label is defined
+ * more than once, the first definition wins.
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @param {Object} context - Parse context
+ * @returns {Object|null} - { node, next } or null
+ */
+function parseLinkDefinition(lines, start, context) {
+    const match = lines[start].match(BLOCK_PATTERNS.linkDefinition);
+    if (!match) return null;
+
+    const label = normalizeLabel(match[1]);
+    if (!label) return null;
+
+    let title = match[3];
+    let next = start + 1;
+    if (!title && next < lines.length) {
+        const titleLine = lines[next].match(BLOCK_PATTERNS.linkTitle);
+        if (titleLine) {
+            title = titleLine[1];
+            next++;
         }
     }
-    
-    // Handle table at end of text
-    if (inTable) {
-        result.push(createTable(tableRows));
+
+    const url = match[2].startsWith('<') ? match[2].slice(1, -1) : match[2];
+    const node = {
+        type: 'definition',
+        label,
+        url: unescapeMarkdown(url),
+        title: title ? unescapeMarkdown(title.slice(1, -1)) : ''
+    };
+
+    if (!context.definitions.has(label)) {
+        context.definitions.set(label, node);
     }
-    
-    return result.join('\n');
+
+    return { node, next };
 }
 
 /**
- * Create HTML table from rows
- * @param {Array} rows - Array of row arrays
- * @returns {string} - HTML table
+ * Parse a footnote definition: [^label]: text
+ * Continuation lines are indented by four columns, except lazy lines
+ * that carry on the paragraph the definition ends with.
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @param {Object} context - Parse context
+ * @returns {Object|null} - { node, next } or null
  */
-function createTable(rows) {
-    if (rows.length === 0) return '';
-    
-    let html = '<table>\n';
-    
-    // First row is header
-    html += '<thead>\n<tr>\n';
-    rows[0].forEach(cell => {
-        html += `<th>${cell}</th>\n`;
-    });
-    html += '</tr>\n</thead>\n';
-    
-    // Remaining rows are body
-    if (rows.length > 1) {
-        html += '<tbody>\n';
-        for (let i = 1; i < rows.length; i++) {
-            html += '<tr>\n';
-            rows[i].forEach(cell => {
-                html += `<td>${cell}</td>\n`;
-            });
-            html += '</tr>\n';
+function parseFootnoteDefinition(lines, start, context) {
+    const match = lines[start].match(BLOCK_PATTERNS.footnoteDefinition);
+    if (!match) return null;
+
+    const contentLines = [match[2]];
+    let i = start + 1;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlankLine(line)) {
+            contentLines.push('');
+        } else if (leadingIndent(line) >= 4) {
+            contentLines.push(stripIndent(line, 4));
+        } else if (!BLOCK_PATTERNS.footnoteDefinition.test(line) &&
+                   isLazyContinuation(contentLines, line, context)) {
+            contentLines.push(line);
+        } else {
+            break;
+        }
+        i++;
+    }
+
+    const label = normalizeLabel(match[1]);
+    context.footnoteLabels.add(label);
+
+    return {
+        node: { type: 'footnoteDefinition', label, children: context.parseBlocks(contentLines) },
+        next: i
+    };
+}
+
+/**
+ * Normalize a link or footnote label for matching
+ * Labels match case-insensitively, with runs of whitespace collapsed.
+ * @param {string} label - Raw label
+ * @returns {string} - Normalized label
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+}
+
+/**
+ * Parse a paragraph, or a setext heading when the paragraph is
+ * followed by an underline of = or -
+ * @param {Array<string>} lines - Source lines
+ * @param {number} start - Index of the current line
+ * @param {Object} context - Parse context
+ * @returns {Object} - { node, next }
+ */
+function parseParagraph(lines, start, context) {
+    const paragraphLines = [lines[start].replace(/^[ \t]+/, '')];
+    let i = start + 1;
+
+    while (i < lines.length && !isBlankLine(lines[i])) {
+        const underline = lines[i].match(BLOCK_PATTERNS.setextUnderline);
+        if (underline) {
+            return {
+                node: {
+                    type: 'heading',
+                    depth: underline[1][0] === '=' ? 1 : 2,
+                    content: paragraphLines.join('\n').trim()
+                },
+                next: i + 1
+            };
         }
-        html += '</tbody>\n';
+
+        if (interruptsParagraph(lines[i], context) || startsTable(lines, i)) break;
+
+        paragraphLines.push(lines[i].replace(/^[ \t]+/, ''));
+        i++;
+    }
+
+    return {
+        node: { type: 'paragraph', content: paragraphLines.join('\n').trim() },
+        next: i
+    };
+}
+
+/**
+ * Check whether a line starts a block that may interrupt a paragraph
+ * @param {string} line - Line to check
+ * @param {Object} context - Parse context
+ * @returns {boolean}
+ */
+function interruptsParagraph(line, context) {
+    if (BLOCK_PATTERNS.fence.test(line) ||
+        BLOCK_PATTERNS.atxHeading.test(line) ||
+        BLOCK_PATTERNS.thematicBreak.test(line) ||
+        BLOCK_PATTERNS.blockquote.test(line) ||
+        startsHtmlBlock(line, true)) {
+        return true;
+    }
+
+    if (context.blockRules.some(rule => rule.interrupts && rule.interrupts(line))) {
+        return true;
     }
-    
-    html += '</table>';
-    return html;
+
+    // Only non-empty lists, and ordered lists starting at 1, interrupt a paragraph
+    const item = matchListItem(line);
+    return Boolean(item && item.content && (!item.ordered || item.number === 1));
 }
 
 /**
- * Parse horizontal rules (--- or ***)
- * @param {string} text - Text to parse
- * @returns {string} - Text with horizontal rules converted to HTML
+ * Check whether a line continues the paragraph at the end of a container
+ * without repeating the container's marker
+ * @param {Array<string>} containerLines - Lines collected for the container so far
+ * @param {string} line - Candidate line
+ * @param {Object} context - Parse context
+ * @returns {boolean}
  */
-function parseHorizontalRules(text) {
-    text = text.replace(/^---+$/gm, '<hr>');
-    text = text.replace(/^\*\*\*+$/gm, '<hr>');
-    return text;
+function isLazyContinuation(containerLines, line, context) {
+    const previous = containerLines[containerLines.length - 1];
+    return previous !== undefined &&
+           !isBlankLine(previous) &&
+           !BLOCK_PATTERNS.fence.test(previous) &&
+           !interruptsParagraph(line, context);
 }
 
-// Export the main parsing function
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { parseMarkdown };
+/**
+ * Check if a line is empty or whitespace only
+ * @param {string} line - Line to check
+ * @returns {boolean}
+ */
+function isBlankLine(line) {
+    return BLOCK_PATTERNS.blank.test(line);
+}
+
+/**
+ * Measure the indentation of a line in columns (tabs stop every 4 columns)
+ * @param {string} line - Line to measure
+ * @returns {number} - Indentation width
+ */
+function leadingIndent(line) {
+    let width = 0;
+    for (const char of line) {
+        if (char === ' ') width++;
+        else if (char === '\t') width += 4 - (width % 4);
+        else break;
+    }
+    return width;
+}
+
+/**
+ * Remove up to `columns` columns of indentation from a line
+ * @param {string} line - Line to strip
+ * @param {number} columns - Columns to remove
+ * @returns {string} - Stripped line
+ */
+function stripIndent(line, columns) {
+    let width = 0;
+    let i = 0;
+
+    while (i < line.length && width < columns) {
+        if (line[i] === ' ') width++;
+        else if (line[i] === '\t') width += 4 - (width % 4);
+        else break;
+        i++;
+    }
+
+    // A tab that overshoots the requested width leaves spaces behind
+    return ' '.repeat(Math.max(0, width - columns)) + line.slice(i);
+}
+
+/* ------------------------------------------------------------------------
+ * Inline phase
+ * --------------------------------------------------------------------- */
+
+/**
+ * Replace the raw `content` of every leaf block with parsed inline children
+ * @param {Object} node - Block node to walk
+ * @param {Object} context - Parse context
+ */
+function resolveInlines(node, context) {
+    if (typeof node.content === 'string') {
+        node.children = parseInlines(node.content, context);
+        delete node.content;
+        return;
+    }
+
+    if (node.children) {
+        node.children.forEach(child => resolveInlines(child, context));
+    }
+}
+
+/**
+ * Parse inline markdown into inline nodes
+ * Emphasis and links are matched with delimiter and bracket stacks, so
+ * markup never leaks into code spans, URLs or already-parsed elements.
+ * @param {string} text - Inline source text
+ * @param {Object} context - Parse context
+ * @returns {Array<Object>} - Inline nodes
+ */
+function parseInlines(text, context) {
+    const state = {
+        text,
+        pos: 0,
+        nodes: [],
+        delimiters: [],
+        brackets: [],
+        buffer: '',
+        context,
+        push: node => pushInline(state, node)
+    };
+
+    while (state.pos < text.length) {
+        const char = text[state.pos];
+
+        if (applyInlineRules(state, char)) {
+            continue;
+        }
+
+        switch (char) {
+            case '\\':
+                parseEscape(state);
+                break;
+            case '`':
+                parseCodeSpan(state);
+                break;
+            case '*':
+            case '_':
+            case '~':
+                parseDelimiterRun(state, char);
+                break;
+            case '!':
+                if (text[state.pos + 1] === '[') {
+                    pushBracket(state, true);
+                } else {
+                    state.buffer += char;
+                    state.pos++;
+                }
+                break;
+            case '[':
+                if (!parseFootnoteReference(state)) {
+                    pushBracket(state, false);
+                }
+                break;
+            case ']':
+                closeBracket(state);
+                break;
+            case '<':
+                parseAngleBracket(state);
+                break;
+            case '&':
+                parseEntity(state);
+                break;
+            case '\n':
+                parseNewline(state);
+                break;
+            default:
+                if (!parseExtendedAutolink(state)) {
+                    state.buffer += char;
+                    state.pos++;
+                }
+        }
+    }
+
+    flushText(state);
+    processEmphasis(state, 0);
+
+    return mergeTextNodes(state.nodes);
+}
+
+/**
+ * Give plugin inline rules a chance to handle the current position
+ * @param {Object} state - Inline parser state
+ * @param {string} char - Character at the current position
+ * @returns {boolean} - Whether a rule consumed input
+ */
+function applyInlineRules(state, char) {
+    return state.context.inlineRules.some(rule => {
+        if (rule.triggers && !rule.triggers.includes(char)) {
+            return false;
+        }
+
+        const start = state.pos;
+        return rule.parse(state, state.context) === true && state.pos > start;
+    });
+}
+
+/**
+ * Move buffered literal text into a text node
+ * @param {Object} state - Inline parser state
+ */
+function flushText(state) {
+    if (state.buffer) {
+        state.nodes.push({ type: 'text', value: state.buffer });
+        state.buffer = '';
+    }
+}
+
+/**
+ * Push a node after flushing any buffered text
+ * @param {Object} state - Inline parser state
+ * @param {Object} node - Inline node
+ */
+function pushInline(state, node) {
+    flushText(state);
+    state.nodes.push(node);
+}
+
+/**
+ * Parse a backslash escape or a backslash hard line break
+ * @param {Object} state - Inline parser state
+ */
+function parseEscape(state) {
+    const next = state.text[state.pos + 1];
+
+    if (next === '\n') {
+        pushInline(state, { type: 'break' });
+        state.pos += 2;
+    } else if (next && /[!-/:-@[-`{-~]/.test(next)) {
+        state.buffer += next;
+        state.pos += 2;
+    } else {
+        state.buffer += '\\';
+        state.pos++;
+    }
+}
+
+/**
+ * Parse a code span (`code`, ``code with ` inside``)
+ * @param {Object} state - Inline parser state
+ */
+function parseCodeSpan(state) {
+    const run = state.text.slice(state.pos).match(/^`+/)[0];
+    const contentStart = state.pos + run.length;
+    const closing = new RegExp(`(^|[^\`])${run}(?!\`)`, 'g');
+    closing.lastIndex = contentStart;
+
+    let match = closing.exec(state.text);
+    while (match && match.index + match[1].length < contentStart) {
+        match = closing.exec(state.text);
+    }
+
+    if (!match) {
+        state.buffer += run;
+        state.pos = contentStart;
+        return;
+    }
+
+    const end = match.index + match[1].length;
+    let value = state.text.slice(contentStart, end).replace(/\n/g, ' ');
+    if (/^ .*[^ ].* $/.test(value)) {
+        value = value.slice(1, -1);
+    }
+
+    pushInline(state, { type: 'inlineCode', value });
+    state.pos = end + run.length;
+}
+
+/**
+ * Parse a run of *, _ or ~ and record it on the delimiter stack
+ * Flanking rules follow CommonMark, so intraword underscores
+ * (snake_case identifiers) never open or close emphasis.
+ * @param {Object} state - Inline parser state
+ * @param {string} char - Delimiter character
+ */
+function parseDelimiterRun(state, char) {
+    const { text } = state;
+    let end = state.pos;
+    while (text[end] === char) end++;
+
+    const run = text.slice(state.pos, end);
+    const before = state.pos > 0 ? text[state.pos - 1] : ' ';
+    const after = end < text.length ? text[end] : ' ';
+
+    // Strikethrough uses one or two tildes
+    if (char === '~' && run.length > 2) {
+        state.buffer += run;
+        state.pos = end;
+        return;
+    }
+
+    const beforeSpace = /\s/.test(before);
+    const afterSpace = /\s/.test(after);
+    const beforePunct = isPunctuation(before);
+    const afterPunct = isPunctuation(after);
+    const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+    const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+    if (char === '_') {
+        canOpen = leftFlanking && (!rightFlanking || beforePunct);
+        canClose = rightFlanking && (!leftFlanking || afterPunct);
+    }
+
+    const node = { type: 'text', value: run };
+    pushInline(state, node);
+    state.delimiters.push({
+        node,
+        char,
+        count: run.length,
+        originalCount: run.length,
+        canOpen,
+        canClose
+    });
+    state.pos = end;
+}
+
+/**
+ * Check if a character is ASCII or Unicode punctuation
+ * @param {string} char - Character to check
+ * @returns {boolean}
+ */
+function isPunctuation(char) {
+    return /[\p{P}\p{S}]/u.test(char);
+}
+
+/**
+ * Push a [ or ![ opener onto the bracket stack
+ * @param {Object} state - Inline parser state
+ * @param {boolean} image - Whether the opener starts an image
+ */
+function pushBracket(state, image) {
+    const node = { type: 'text', value: image ? '![' : '[' };
+    pushInline(state, node);
+    state.brackets.push({
+        node,
+        image,
+        position: state.pos,
+        delimiterIndex: state.delimiters.length,
+        active: true
+    });
+    state.pos += image ? 2 : 1;
+}
+
+/**
+ * Handle ] by turning the matching opener into a link or image
+ * An inline destination is tried first, then a reference: [text][label],
+ * collapsed [text][] or shortcut [text].
+ * @param {Object} state - Inline parser state
+ */
+function closeBracket(state) {
+    const opener = state.brackets.pop();
+    state.pos++;
+
+    if (!opener || !opener.active) {
+        state.buffer += ']';
+        return;
+    }
+
+    const destination = parseLinkDestination(state.text, state.pos) ||
+                        parseLinkReference(state, opener);
+    if (!destination) {
+        state.buffer += ']';
+        return;
+    }
+
+    flushText(state);
+    processEmphasis(state, opener.delimiterIndex);
+
+    const openerIndex = state.nodes.indexOf(opener.node);
+    const children = mergeTextNodes(state.nodes.splice(openerIndex + 1));
+    state.nodes.pop();
+
+    if (opener.image) {
+        state.nodes.push({
+            type: 'image',
+            url: destination.url,
+            title: destination.title,
+            alt: getTextContent({ children }),
+            children
+        });
+    } else {
+        state.nodes.push({
+            type: 'link',
+            url: destination.url,
+            title: destination.title,
+            children
+        });
+        // Links may not contain other links
+        state.brackets.forEach(bracket => {
+            if (!bracket.image) bracket.active = false;
+        });
+    }
+
+    state.pos = destination.end;
+}
+
+/**
+ * Parse an inline link destination: (url) or (url "title")
+ * @param {string} text - Inline source text
+ * @param {number} start - Index just after the closing ]
+ * @returns {Object|null} - { url, title, end } or null
+ */
+function parseLinkDestination(text, start) {
+    if (text[start] !== '(') return null;
+
+    let pos = start + 1;
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+
+    skipSpace();
+    let url = '';
+
+    if (text[pos] === '<') {
+        const end = text.indexOf('>', pos);
+        if (end === -1 || text.slice(pos, end).includes('\n')) return null;
+        url = text.slice(pos + 1, end);
+        pos = end + 1;
+    } else {
+        let depth = 0;
+        const urlStart = pos;
+        while (pos < text.length && !/\s/.test(text[pos])) {
+            if (text[pos] === '\\' && pos + 1 < text.length) {
+                pos += 2;
+                continue;
+            }
+            if (text[pos] === '(') depth++;
+            if (text[pos] === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            pos++;
+        }
+        url = text.slice(urlStart, pos);
+    }
+
+    skipSpace();
+    let title = '';
+    const quote = text[pos];
+
+    if (quote === '"' || quote === "'" || quote === '(') {
+        const closer = quote === '(' ? ')' : quote;
+        const end = text.indexOf(closer, pos + 1);
+        if (end === -1) return null;
+        title = text.slice(pos + 1, end);
+        pos = end + 1;
+        skipSpace();
+    }
+
+    if (text[pos] !== ')') return null;
+
+    return {
+        url: unescapeMarkdown(url),
+        title: unescapeMarkdown(title),
+        end: pos + 1
+    };
+}
+
+/**
+ * Resolve a reference link against the collected link definitions
+ * @param {Object} state - Inline parser state, positioned just after the ]
+ * @param {Object} opener - Matching bracket opener
+ * @returns {Object|null} - { url, title, end } or null
+ */
+function parseLinkReference(state, opener) {
+    const { text } = state;
+    const textStart = opener.position + (opener.image ? 2 : 1);
+    let label = text.slice(textStart, state.pos - 1);
+    let end = state.pos;
+
+    const reference = text.slice(state.pos).match(/^\[((?:[^\\[\]]|\\.)*)\]/);
+    if (reference) {
+        // [text][] uses the link text as its label
+        if (reference[1].trim()) label = reference[1];
+        end += reference[0].length;
+    }
+
+    const definition = state.context.definitions.get(normalizeLabel(label));
+    if (!definition) return null;
+
+    return { url: definition.url, title: definition.title, end };
+}
+
+/**
+ * Parse a footnote reference ([^label]) to a defined footnote
+ * @param {Object} state - Inline parser state
+ * @returns {boolean} - Whether a reference was parsed
+ */
+function parseFootnoteReference(state) {
+    const match = state.text.slice(state.pos).match(/^\[\^([^\]\s]+)\]/);
+    if (!match) return false;
+
+    const label = normalizeLabel(match[1]);
+    if (!state.context.footnoteLabels.has(label)) return false;
+
+    pushInline(state, { type: 'footnoteReference', label });
+    state.pos += match[0].length;
+    return true;
+}
+
+/**
+ * Remove backslash escapes from link destinations and titles
+ * @param {string} text - Text to unescape
+ * @returns {string} - Unescaped text
+ */
+function unescapeMarkdown(text) {
+    return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+}
+
+/**
+ * Parse <...>: an autolink, an inline HTML tag/comment, or a literal <
+ * @param {Object} state - Inline parser state
+ */
+function parseAngleBracket(state) {
+    const rest = state.text.slice(state.pos);
+
+    const autolink = rest.match(/^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/);
+    if (autolink) {
+        pushInline(state, {
+            type: 'link',
+            url: autolink[1],
+            title: '',
+            children: [{ type: 'text', value: autolink[1] }]
+        });
+        state.pos += autolink[0].length;
+        return;
+    }
+
+    const email = rest.match(/^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)*)>/);
+    if (email) {
+        pushInline(state, {
+            type: 'link',
+            url: `mailto:${email[1]}`,
+            title: '',
+            children: [{ type: 'text', value: email[1] }]
+        });
+        state.pos += email[0].length;
+        return;
+    }
+
+    const html = rest.match(/^(?:<!--[\s\S]*?-->|<\/[A-Za-z][A-Za-z0-9-]*\s*>|<[A-Za-z][A-Za-z0-9-]*(?:\s+[A-Za-z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>)/);
+    if (html) {
+        pushInline(state, { type: 'html', value: html[0] });
+        state.pos += html[0].length;
+        return;
+    }
+
+    state.buffer += '<';
+    state.pos++;
+}
+
+/**
+ * Parse an HTML entity (&amp;, &#39;, &#x27;) or a literal &
+ * @param {Object} state - Inline parser state
+ */
+function parseEntity(state) {
+    const match = state.text.slice(state.pos).match(/^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/);
+
+    if (match) {
+        pushInline(state, { type: 'entity', value: match[0] });
+        state.pos += match[0].length;
+    } else {
+        state.buffer += '&';
+        state.pos++;
+    }
+}
+
+/**
+ * Parse a line ending: two trailing spaces make a hard break
+ * @param {Object} state - Inline parser state
+ */
+function parseNewline(state) {
+    const hardBreak = / {2,}$/.test(state.buffer);
+    state.buffer = state.buffer.replace(/ +$/, '');
+    pushInline(state, { type: hardBreak ? 'break' : 'softbreak' });
+
+    state.pos++;
+    while (state.text[state.pos] === ' ') state.pos++;
+}
+
+/**
+ * Parse a GFM extended autolink: www.example.com, http(s)://example.com
+ * or a bare email address
+ * @param {Object} state - Inline parser state
+ * @returns {boolean} - Whether an autolink was consumed
+ */
+function parseExtendedAutolink(state) {
+    const { text, pos } = state;
+    const char = text[pos];
+    if (char !== 'h' && char !== 'w' && char !== '@') {
+        return false;
+    }
+
+    // Links may not contain other links
+    if (state.brackets.some(bracket => bracket.active && !bracket.image)) {
+        return false;
+    }
+
+    if (char === '@') {
+        return parseEmailAutolink(state);
+    }
+
+    // Autolinks must start a word (or follow emphasis or an opening parenthesis)
+    const previous = pos > 0 ? text[pos - 1] : ' ';
+    if (!/[\s*_~(]/.test(previous)) return false;
+
+    const match = text.slice(pos).match(/^(?:https?:\/\/|www\.)[^\s<]*/);
+    if (!match) return false;
+
+    const url = trimAutolinkPath(match[0]);
+    const domain = url.replace(/^https?:\/\//, '').match(/^[A-Za-z0-9_-]*(?:\.[A-Za-z0-9_-]+)*/)[0];
+    if (!isValidAutolinkDomain(domain)) return false;
+
+    pushInline(state, {
+        type: 'link',
+        url: url.startsWith('www.') ? `http://${url}` : url,
+        title: '',
+        children: [{ type: 'text', value: url }]
+    });
+    state.pos += url.length;
+    return true;
+}
+
+/**
+ * Parse a bare email address whose local part is already in the text buffer
+ * @param {Object} state - Inline parser state (positioned on the @)
+ * @returns {boolean} - Whether an email autolink was consumed
+ */
+function parseEmailAutolink(state) {
+    const local = state.buffer.match(/[A-Za-z0-9._+-]+$/);
+    const domain = state.text.slice(state.pos + 1).match(/^[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)+/);
+    if (!local || !domain || /[-_]$/.test(domain[0])) {
+        return false;
+    }
+
+    const address = `${local[0]}@${domain[0]}`;
+    state.buffer = state.buffer.slice(0, -local[0].length);
+    pushInline(state, {
+        type: 'link',
+        url: `mailto:${address}`,
+        title: '',
+        children: [{ type: 'text', value: address }]
+    });
+    state.pos += 1 + domain[0].length;
+    return true;
+}
+
+/**
+ * Drop trailing characters GFM excludes from an autolink: punctuation,
+ * unbalanced closing parentheses and entity references
+ * @param {string} url - Candidate URL
+ * @returns {string} - Trimmed URL
+ */
+function trimAutolinkPath(url) {
+    let result = url;
+
+    while (result) {
+        const last = result[result.length - 1];
+
+        if (/[?!.,:*_~]/.test(last)) {
+            result = result.slice(0, -1);
+        } else if (last === ')') {
+            const opens = (result.match(/\(/g) || []).length;
+            const closes = (result.match(/\)/g) || []).length;
+            if (closes <= opens) break;
+            result = result.slice(0, -1);
+        } else if (last === ';' && /&[A-Za-z0-9]+;$/.test(result)) {
+            result = result.replace(/&[A-Za-z0-9]+;$/, '');
+        } else {
+            break;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Check the domain of an extended autolink: at least one period,
+ * and no underscores in the last two segments
+ * @param {string} domain - Domain part of the URL
+ * @returns {boolean}
+ */
+function isValidAutolinkDomain(domain) {
+    const segments = domain.split('.');
+    if (segments.length < 2 || segments.some(segment => !segment)) {
+        return false;
+    }
+
+    return !segments.slice(-2).some(segment => segment.includes('_'));
+}
+
+/**
+ * Match emphasis delimiters above `bottom` on the delimiter stack,
+ * wrapping the nodes between each opener and closer
+ * @param {Object} state - Inline parser state
+ * @param {number} bottom - Lowest delimiter index to consider
+ */
+function processEmphasis(state, bottom) {
+    const { nodes, delimiters } = state;
+    let c = bottom;
+
+    while (c < delimiters.length) {
+        const closer = delimiters[c];
+        if (!closer.canClose) {
+            c++;
+            continue;
+        }
+
+        let o = c - 1;
+        while (o >= bottom && !canMatchDelimiters(delimiters[o], closer)) o--;
+
+        if (o < bottom) {
+            // Nothing to close: a closer-only delimiter is plain text from now on
+            if (!closer.canOpen) {
+                delimiters.splice(c, 1);
+            } else {
+                c++;
+            }
+            continue;
+        }
+
+        const opener = delimiters[o];
+        const used = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+        const type = closer.char === '~' ? 'delete' : (used === 2 ? 'strong' : 'emphasis');
+
+        opener.count -= used;
+        closer.count -= used;
+        opener.node.value = opener.node.value.slice(used);
+        closer.node.value = closer.node.value.slice(used);
+
+        const openerIndex = nodes.indexOf(opener.node);
+        const closerIndex = nodes.indexOf(closer.node);
+        const children = mergeTextNodes(nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1));
+        nodes.splice(openerIndex + 1, 0, { type, children });
+
+        // Delimiters between the pair can no longer match anything
+        delimiters.splice(o + 1, c - o - 1);
+        c = o + 1;
+
+        if (opener.count === 0) {
+            nodes.splice(nodes.indexOf(opener.node), 1);
+            delimiters.splice(o, 1);
+            c--;
+        }
+        if (closer.count === 0) {
+            nodes.splice(nodes.indexOf(closer.node), 1);
+            delimiters.splice(c, 1);
+        }
+    }
+
+    delimiters.length = Math.min(delimiters.length, bottom);
+}
+
+/**
+ * Check whether an opener delimiter can be closed by a closer
+ * @param {Object} opener - Opener delimiter
+ * @param {Object} closer - Closer delimiter
+ * @returns {boolean}
+ */
+function canMatchDelimiters(opener, closer) {
+    if (opener.char !== closer.char || !opener.canOpen || opener.count === 0) {
+        return false;
+    }
+
+    // Tilde runs only pair with a run of the same length
+    if (closer.char === '~') {
+        return opener.count === closer.count;
+    }
+
+    // "Rule of three" for delimiters that can both open and close
+    if ((opener.canClose || closer.canOpen) &&
+        (opener.originalCount + closer.originalCount) % 3 === 0 &&
+        !(opener.originalCount % 3 === 0 && closer.originalCount % 3 === 0)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Merge adjacent text nodes and drop empty ones
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {Array<Object>} - Normalized nodes
+ */
+function mergeTextNodes(nodes) {
+    const result = [];
+
+    nodes.forEach(node => {
+        if (node.type !== 'text') {
+            result.push(node);
+        } else if (node.value) {
+            const last = result[result.length - 1];
+            if (last && last.type === 'text') {
+                last.value += node.value;
+            } else {
+                result.push({ type: 'text', value: node.value });
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Number footnotes by first reference and move them to the end
+ * Footnote definitions are taken out of the flow, and the ones that are
+ * referenced are appended as a single `footnotes` node. Every reference
+ * gets the note's `index`, plus a `referenceIndex` when a note is cited
+ * more than once.
+ * @param {Object} root - Root node
+ */
+function collectFootnotes(root) {
+    const definitions = new Map();
+
+    const extract = node => {
+        if (!node.children) return;
+        node.children = node.children.filter(child => {
+            extract(child);
+            if (child.type !== 'footnoteDefinition') return true;
+            if (!definitions.has(child.label)) definitions.set(child.label, child);
+            return false;
+        });
+    };
+    extract(root);
+
+    const notes = [];
+    const number = node => {
+        if (node.type === 'footnoteReference') {
+            const note = definitions.get(node.label);
+            if (!note) return;
+            if (!note.index) {
+                notes.push(note);
+                note.index = notes.length;
+                note.referenceCount = 0;
+            }
+            note.referenceCount++;
+            node.index = note.index;
+            node.referenceIndex = note.referenceCount;
+        } else if (node.children) {
+            node.children.forEach(number);
+        }
+    };
+    number(root);
+    // References inside footnotes are numbered after the ones in the text
+    for (let i = 0; i < notes.length; i++) {
+        notes[i].children.forEach(number);
+    }
+
+    if (notes.length > 0) {
+        root.children.push({ type: 'footnotes', children: notes });
+    }
+}
+
+/**
+ * Get the plain text of a node and its descendants
+ * @param {Object} node - AST node
+ * @returns {string} - Text content
+ */
+function getTextContent(node) {
+    switch (node.type) {
+        case 'text':
+        case 'inlineCode':
+        case 'code':
+            return node.value;
+        case 'image':
+            return node.alt;
+        case 'softbreak':
+        case 'break':
+            return ' ';
+        default:
+            return node.children ? node.children.map(getTextContent).join('') : '';
+    }
+}
+
+/* ------------------------------------------------------------------------
+ * HTML renderer
+ * --------------------------------------------------------------------- */
+
+/**
+ * Render an AST node (usually the document root) to HTML
+ * Renderers registered by plugins take precedence over the built-in ones.
+ * @param {Object} node - AST node
+ * @param {Object} options - Render options (see parseMarkdown)
+ * @returns {string} - HTML string
+ */
+function renderHtml(node, options = {}) {
+    const renderer = options.renderers && options.renderers[node.type];
+    return renderer ? renderer(node, options) : renderNode(node, options);
+}
+
+/**
+ * Built-in HTML rendering for each node type
+ * @param {Object} node - AST node
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderNode(node, options) {
+    switch (node.type) {
+        case 'document':
+            return renderBlockChildren(node.children, false, options);
+        case 'paragraph':
+            return `<p>${renderInlineChildren(node.children, options)}</p>`;
+        case 'heading': {
+            const id = escapeHtml(node.id || generateHeaderId(getTextContent(node)));
+            const anchor = options.headingAnchors
+                ? ` <a class="heading-anchor" href="#${id}" aria-label="Link to this section">#</a>`
+                : '';
+            return `<h${node.depth} id="${id}">${renderInlineChildren(node.children, options)}${anchor}</h${node.depth}>`;
+        }
+        case 'code':
+            return renderCodeBlock(node, options);
+        case 'blockquote':
+            return `<blockquote>\n${renderBlockChildren(node.children, false, options)}\n</blockquote>`;
+        case 'list': {
+            const tag = node.ordered ? 'ol' : 'ul';
+            const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+            const taskList = node.children.some(item => item.checked !== null) ? ' class="contains-task-list"' : '';
+            const items = node.children.map(item => renderListItem(item, node.tight, options)).join('\n');
+            return `<${tag}${start}${taskList}>\n${items}\n</${tag}>`;
+        }
+        case 'thematicBreak':
+            return '<hr>';
+        case 'table':
+            return renderTable(node, options);
+        case 'definition':
+            return '';
+        case 'footnotes': {
+            const notes = node.children.map(note => renderFootnote(note, options)).join('\n');
+            return `<section class="footnotes" role="doc-endnotes">\n<hr>\n<ol>\n${notes}\n</ol>\n</section>`;
+        }
+        case 'footnoteReference': {
+            const id = `fnref-${node.index}${node.referenceIndex > 1 ? `-${node.referenceIndex}` : ''}`;
+            return `<sup class="footnote-ref"><a href="#fn-${node.index}" id="${id}" role="doc-noteref">${node.index}</a></sup>`;
+        }
+        case 'html':
+            return options.trusted ? node.value : sanitizeHtml(node.value, options.sanitize);
+        case 'text':
+            return escapeHtml(node.value);
+        case 'entity':
+            return node.value;
+        case 'inlineCode':
+            return `<code>${escapeHtml(node.value)}</code>`;
+        case 'emphasis':
+            return `<em>${renderInlineChildren(node.children, options)}</em>`;
+        case 'strong':
+            return `<strong>${renderInlineChildren(node.children, options)}</strong>`;
+        case 'delete':
+            return `<del>${renderInlineChildren(node.children, options)}</del>`;
+        case 'link': {
+            // Links with a disallowed scheme keep their text but lose the anchor
+            if (!options.trusted && !isSafeUrl(node.url, options.sanitize)) {
+                return renderInlineChildren(node.children, options);
+            }
+            const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+            return `<a href="${escapeHtml(node.url)}"${title}>${renderInlineChildren(node.children, options)}</a>`;
+        }
+        case 'image': {
+            if (!options.trusted && !isSafeUrl(node.url, options.sanitize)) {
+                return escapeHtml(node.alt);
+            }
+            const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+            return `<img src="${escapeHtml(node.url)}" alt="${escapeHtml(node.alt)}"${title}>`;
+        }
+        case 'break':
+            return '<br>\n';
+        case 'softbreak':
+            return '\n';
+        default:
+            return node.children ? renderInlineChildren(node.children, options) : '';
+    }
+}
+
+/**
+ * Render a list of block nodes
+ * @param {Array<Object>} children - Block nodes
+ * @param {boolean} tight - Render paragraphs without <p> (tight list items)
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderBlockChildren(children, tight, options) {
+    return children.map(child => {
+        if (tight && child.type === 'paragraph') {
+            return renderInlineChildren(child.children, options);
+        }
+        return renderHtml(child, options);
+    }).filter(html => html !== '').join('\n');
+}
+
+/**
+ * Render a list of inline nodes
+ * @param {Array<Object>} children - Inline nodes
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderInlineChildren(children, options) {
+    return children.map(child => renderHtml(child, options)).join('');
+}
+
+/**
+ * Render a list item
+ * @param {Object} item - listItem node
+ * @param {boolean} tight - Whether the parent list is tight
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderListItem(item, tight, options) {
+    if (item.checked === null) {
+        return `<li>${renderBlockChildren(item.children, tight, options)}</li>`;
+    }
+
+    const checkbox = `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+    const content = renderBlockChildren(item.children, tight, options);
+    // Keep the checkbox inside the first paragraph of loose items
+    const body = content.startsWith('<p>') ? `<p>${checkbox}${content.slice(3)}` : checkbox + content;
+
+    return `<li class="task-list-item">${body}</li>`;
+}
+
+/**
+ * Render a footnote with links back to each of its references
+ * @param {Object} note - footnoteDefinition node
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderFootnote(note, options) {
+    const backrefs = [];
+    for (let n = 1; n <= note.referenceCount; n++) {
+        const suffix = n > 1 ? `-${n}` : '';
+        const mark = n > 1 ? `&#8617;<sup>${n}</sup>` : '&#8617;';
+        backrefs.push(`<a href="#fnref-${note.index}${suffix}" class="footnote-backref" role="doc-backlink" aria-label="Back to reference ${note.index}${suffix}">${mark}</a>`);
+    }
+
+    const links = backrefs.join(' ');
+    const content = renderBlockChildren(note.children, false, options);
+    // Back-references go at the end of the last paragraph when there is one
+    const body = content.endsWith('</p>')
+        ? `${content.slice(0, -4)} ${links}</p>`
+        : `${content}${content ? '\n' : ''}<p>${links}</p>`;
+
+    return `<li id="fn-${note.index}">\n${body}\n</li>`;
+}
+
+/**
+ * Render a code block, highlighted when the language is supported
+ * Line numbers and highlighted lines wrap every line in its own span.
+ * @param {Object} node - code node
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderCodeBlock(node, options) {
+    const lang = node.lang ? ` class="language-${escapeHtml(node.lang)}"` : '';
+    const meta = parseCodeMeta(node.meta || '');
+    const highlighter = options.highlight === false ? null : getSyntaxHighlighter();
+    const lines = highlighter
+        ? highlighter(node.value, node.lang)
+        : node.value.split('\n').map(escapeHtml);
+
+    const lineNumbers = meta.lineNumbers || Boolean(options.lineNumbers);
+    if (!lineNumbers && meta.highlightRanges.length === 0) {
+        return `<pre><code${lang}>${lines.join('\n')}</code></pre>`;
+    }
+
+    const wrappedLines = lines.map((line, index) => {
+        const number = index + 1;
+        const highlighted = meta.highlightRanges.some(([start, end]) => number >= start && number <= end);
+        const className = highlighted ? 'code-line highlighted' : 'code-line';
+        return `<span class="${className}" data-line="${number}">${line}</span>`;
+    });
+    const preClass = lineNumbers ? ' class="line-numbers"' : '';
+
+    return `<pre${preClass}><code${lang}>${wrappedLines.join('\n')}</code></pre>`;
+}
+
+/**
+ * Parse code block metadata from the fence info string
+ * @param {string} meta - Info string after the language ("{1,3-5} showLineNumbers")
+ * @returns {Object} - { highlightRanges: Array<[number, number]>, lineNumbers: boolean }
+ */
+function parseCodeMeta(meta) {
+    const highlightRanges = [];
+    const ranges = meta.match(/\{([\d,\s-]+)\}/);
+
+    if (ranges) {
+        ranges[1].split(',').forEach(range => {
+            const [start, end] = range.split('-').map(part => parseInt(part, 10));
+            if (!isNaN(start)) {
+                highlightRanges.push([start, isNaN(end) ? start : end]);
+            }
+        });
+    }
+
+    return {
+        highlightRanges,
+        lineNumbers: /(?:^|\s)showLineNumbers(?:\s|$)/.test(meta)
+    };
+}
+
+/**
+ * Look up the syntax highlighter: a global when syntax-highlighter.js is
+ * loaded on the page, the sibling module under Node
+ * @returns {Function|null} - highlightCodeLines, or null if unavailable
+ */
+function getSyntaxHighlighter() {
+    if (typeof highlightCodeLines === 'function') {
+        return highlightCodeLines;
+    }
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./syntax-highlighter.js').highlightCodeLines;
+    }
+    return null;
+}
+
+/**
+ * Render a table with per-column alignment
+ * @param {Object} table - table node
+ * @param {Object} options - Render options
+ * @returns {string} - HTML string
+ */
+function renderTable(table, options) {
+    const renderRow = (row, cellTag) => {
+        const cells = row.children.map((cell, index) => {
+            const align = table.align[index] ? ` style="text-align: ${table.align[index]}"` : '';
+            return `<${cellTag}${align}>${renderInlineChildren(cell.children, options)}</${cellTag}>`;
+        });
+        return `<tr>\n${cells.join('\n')}\n</tr>`;
+    };
+
+    const [header, ...body] = table.children;
+    let html = `<table>\n<thead>\n${renderRow(header, 'th')}\n</thead>`;
+
+    if (body.length > 0) {
+        html += `\n<tbody>\n${body.map(row => renderRow(row, 'td')).join('\n')}\n</tbody>`;
+    }
+
+    return `${html}\n</table>`;
+}
+
+/* ------------------------------------------------------------------------
+ * Sanitizer
+ * --------------------------------------------------------------------- */
+
+/**
+ * Strip raw HTML down to the allowlisted tags and attributes
+ * Tags outside the allowlist are removed (their text is kept), tags that
+ * embed code or alter page parsing are removed with their content, and
+ * event handlers and unsafe URLs never survive.
+ * @param {string} html - Raw HTML
+ * @param {Object} config - Allowlists (defaults to SANITIZE_DEFAULTS)
+ * @returns {string} - Sanitized HTML
+ */
+function sanitizeHtml(html, config = SANITIZE_DEFAULTS) {
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+    let result = '';
+    let lastIndex = 0;
+    let droppedTag = null;
+    let match;
+
+    while ((match = tagPattern.exec(html))) {
+        if (!droppedTag) {
+            result += escapeStrayMarkup(html.slice(lastIndex, match.index));
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        if (match[0].startsWith('<!--')) continue;
+
+        const [, closing, rawName, attributes, selfClosing] = match;
+        const name = rawName.toLowerCase();
+
+        if (droppedTag) {
+            if (closing && name === droppedTag) droppedTag = null;
+            continue;
+        }
+
+        if (config.droppedTags.includes(name)) {
+            if (!closing && !selfClosing) droppedTag = name;
+            continue;
+        }
+
+        if (!config.allowedTags.includes(name)) continue;
+
+        result += closing
+            ? `</${name}>`
+            : `<${name}${sanitizeAttributes(name, attributes, config)}${selfClosing ? ' /' : ''}>`;
+    }
+
+    if (!droppedTag) {
+        result += escapeStrayMarkup(html.slice(lastIndex));
+    }
+
+    return result;
+}
+
+/**
+ * Keep only allowlisted attributes of a tag, with URLs checked
+ * Ids get `config.idPrefix`, and links that open a new browsing context
+ * always get rel="noopener noreferrer".
+ * @param {string} tagName - Lowercase tag name
+ * @param {string} source - Raw attribute source
+ * @param {Object} config - Allowlists
+ * @returns {string} - Attribute string (with leading spaces)
+ */
+function sanitizeAttributes(tagName, source, config) {
+    const allowed = (config.allowedAttributes['*'] || []).concat(config.allowedAttributes[tagName] || []);
+    const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let result = '';
+    let rel = [];
+    let hasTarget = false;
+    let match;
+
+    while ((match = attributePattern.exec(source))) {
+        const name = match[1].toLowerCase();
+        if (name.startsWith('on') || !allowed.includes(name)) continue;
+
+        const rawValue = match[2] ?? match[3] ?? match[4];
+        if (name === 'target') {
+            hasTarget = true;
+        } else if (name === 'rel') {
+            // Written once, below, together with what `target` needs
+            rel = decodeHtmlEntities(rawValue || '').toLowerCase().split(/\s+/).filter(Boolean);
+            continue;
+        }
+
+        if (rawValue === undefined) {
+            result += ` ${name}`;
+            continue;
+        }
+
+        let value = decodeHtmlEntities(rawValue);
+        if (config.urlAttributes.includes(name) && !isSafeUrl(value, config)) continue;
+        if (config.idPrefix && (config.idAttributes || []).includes(name)) {
+            value = `${config.idPrefix}${value}`;
+        }
+
+        result += ` ${name}="${escapeHtml(value)}"`;
+    }
+
+    if (hasTarget) {
+        rel = [...new Set([...rel, 'noopener', 'noreferrer'])];
+    }
+    if (rel.length > 0) {
+        result += ` rel="${escapeHtml(rel.join(' '))}"`;
+    }
+
+    return result;
+}
+
+/**
+ * Check a URL against the allowlisted schemes
+ * Relative URLs and fragments are always allowed.
+ * @param {string} url - URL to check
+ * @param {Object} config - Allowlists (defaults to SANITIZE_DEFAULTS)
+ * @returns {boolean}
+ */
+function isSafeUrl(url, config = SANITIZE_DEFAULTS) {
+    // Browsers ignore control characters and whitespace inside the scheme
+    const normalized = decodeHtmlEntities(url).replace(/[\u0000- \u007F]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+
+    return !scheme || config.allowedSchemes.includes(scheme[1]);
+}
+
+/**
+ * Decode the HTML entities that can hide a URL scheme (&#58;, &colon;, ...)
+ * @param {string} text - Text to decode
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+    const namedEntities = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+        colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')'
+    };
+
+    return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));?/gi, function(match, decimal, hex, name) {
+        if (decimal || hex) {
+            const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '';
+        }
+        const decoded = namedEntities[name.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+/**
+ * Escape angle brackets left over from malformed tags in text between tags
+ * @param {string} text - Text between tags
+ * @returns {string} - Escaped text
+ */
+function escapeStrayMarkup(text) {
+    return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Generate ID for header
+ * Letters and digits from any script are kept, so accented and non-Latin
+ * headings still get readable ids.
+ * @param {string} text - Header text
+ * @returns {string} - Generated ID
+ */
+function generateHeaderId(text) {
+    return text
+        .normalize('NFC')
+        .toLowerCase()
+        .trim()
+        .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '') // Remove punctuation and symbols
+        .replace(/\s+/g, '-'); // Replace spaces with hyphens
+}
+
+/**
+ * Create a slugger that hands out unique ids for one document
+ * Repeated headings get numeric suffixes: example, example-1, example-2.
+ * @returns {Function} - (text) => unique id
+ */
+function createSlugger() {
+    const used = new Set();
+
+    return function(text) {
+        const base = generateHeaderId(text) || 'section';
+        let slug = base;
+        let suffix = 1;
+
+        while (used.has(slug)) {
+            slug = `${base}-${suffix}`;
+            suffix++;
+        }
+
+        used.add(slug);
+        return slug;
+    };
+}
+
+/**
+ * Give every heading in a document a unique id
+ * Ids set by plugins are kept and reserved.
+ * @param {Object} root - Root node
+ */
+function assignHeadingIds(root) {
+    const slug = createSlugger();
+    const headings = [];
+
+    const walk = node => {
+        if (node.type === 'heading') headings.push(node);
+        if (node.children) node.children.forEach(walk);
+    };
+    walk(root);
+
+    headings.filter(heading => heading.id).forEach(heading => {
+        heading.id = slug(heading.id);
+    });
+    headings.filter(heading => !heading.id).forEach(heading => {
+        heading.id = slug(getTextContent(heading));
+    });
+}
+
+/**
+ * Escape HTML characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    const htmlEscapes = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    return text.replace(/[&<>"']/g, function(match) {
+        return htmlEscapes[match];
+    });
+}
+
+// Export the parser, the plugin API, the HTML renderer and the sanitizer
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseMarkdown,
+        parseMarkdownToAst,
+        parseMarkdownWithOutline,
+        createMarkdownParser,
+        getHeadingOutline,
+        generateHeaderId,
+        renderHtml,
+        getTextContent,
+        sanitizeHtml,
+        isSafeUrl,
+        escapeHtml,
+        SANITIZE_DEFAULTS
+    };
 }
@@ -0,0 +1,248 @@
+/**
+ * Persistent cache for blog data
+ * Keeps the manifest, the search index and every post (raw markdown plus
+ * the parsed post) in localStorage, so repeat visits render at once
+ * instead of waiting for the network. Cached copies are served first and
+ * revalidated in the background with conditional requests (ETag and
+ * Last-Modified).
+ */
+
+// Bump when the shape of a cache entry or the parsed post output changes;
+// entries written under another version are dropped on first use
+const POST_CACHE_VERSION = 4;
+const POST_CACHE_PREFIX = 'blog-cache:';
+
+// Network behaviour of every cached request
+const POST_FETCH_OPTIONS = {
+    timeout: 8000, // ms to wait for the response headers of an attempt
+    retries: 2, // Extra attempts after a failed one
+    backoff: 500 // ms before the first retry, doubled for each further one
+};
+
+let postCacheStorage; // undefined until first use, null when unavailable
+
+/**
+ * Get localStorage, dropping entries of other cache versions on first use
+ * @returns {Storage|null} - null when storage is disabled or blocked
+ *          (private browsing, sandboxed iframes, ...)
+ */
+function getPostCacheStorage() {
+    if (postCacheStorage !== undefined) return postCacheStorage;
+
+    try {
+        postCacheStorage = window.localStorage;
+        const probe = `${POST_CACHE_PREFIX}probe`;
+        postCacheStorage.setItem(probe, '1');
+        postCacheStorage.removeItem(probe);
+        prunePostCache(postCacheStorage);
+    } catch (error) {
+        postCacheStorage = null;
+    }
+
+    return postCacheStorage;
+}
+
+/**
+ * Remove the entries of other cache versions
+ * @param {Storage} storage - localStorage
+ */
+function prunePostCache(storage) {
+    const current = getPostCacheKey('');
+
+    for (let i = storage.length - 1; i >= 0; i--) {
+        const key = storage.key(i);
+        if (key.startsWith(POST_CACHE_PREFIX) && !key.startsWith(current)) {
+            storage.removeItem(key);
+        }
+    }
+}
+
+/**
+ * Remove every cache entry of the current version
+ */
+function clearPostCache() {
+    const storage = getPostCacheStorage();
+    if (!storage) return;
+
+    const current = getPostCacheKey('');
+    for (let i = storage.length - 1; i >= 0; i--) {
+        if (storage.key(i).startsWith(current)) {
+            storage.removeItem(storage.key(i));
+        }
+    }
+}
+
+/**
+ * Get the storage key of a cache entry
+ * @param {string} name - Entry name, e.g. 'manifest' or 'post:my-slug'
+ * @returns {string} - e.g. 'blog-cache:v1:manifest'
+ */
+function getPostCacheKey(name) {
+    return `${POST_CACHE_PREFIX}v${POST_CACHE_VERSION}:${name}`;
+}
+
+/**
+ * Read a cache entry
+ * @param {string} name - Entry name
+ * @returns {Object|null} - { text, data, hash, etag, lastModified }, null
+ *          when missing or unreadable
+ */
+function readPostCache(name) {
+    const storage = getPostCacheStorage();
+    if (!storage) return null;
+
+    try {
+        return JSON.parse(storage.getItem(getPostCacheKey(name)));
+    } catch (error) {
+        storage.removeItem(getPostCacheKey(name));
+        return null;
+    }
+}
+
+/**
+ * Write a cache entry
+ * When storage is full the cache is cleared and the write tried once more;
+ * a failed write only costs a network request on the next visit.
+ * @param {string} name - Entry name
+ * @param {Object} entry - Entry to store
+ */
+function writePostCache(name, entry) {
+    const storage = getPostCacheStorage();
+    if (!storage) return;
+
+    const value = JSON.stringify(entry);
+    try {
+        storage.setItem(getPostCacheKey(name), value);
+    } catch (error) {
+        clearPostCache();
+        try {
+            storage.setItem(getPostCacheKey(name), value);
+        } catch (retryError) {
+            console.warn(`Could not cache ${name}:`, retryError);
+        }
+    }
+}
+
+/**
+ * Load a text resource through the cache
+ * A cached copy is returned at once and revalidated in the background;
+ * onUpdate is called only when the server has a different version.
+ * Without a cached copy, or when `hash` shows the cached copy is out of
+ * date, the request waits for the network.
+ * @param {string} url - Resource URL
+ * @param {Object} options - Cache options
+ * @param {string} options.name - Cache entry name
+ * @param {Function} options.parse - Turns the text into `data`, which is
+ *        cached next to the text (default: no parsed data)
+ * @param {string} options.hash - Known content hash, e.g. from the manifest;
+ *        a cached copy with this hash is used without revalidation
+ * @param {Function} options.onUpdate - Called with the new entry after a
+ *        background revalidation found a change
+ * @returns {Promise<Object>} - Cache entry { text, data, ... }
+ * @throws {Error} - When nothing is cached and the request fails
+ */
+async function loadCachedResource(url, { name, parse = null, hash = null, onUpdate = null }) {
+    const entry = readPostCache(name);
+
+    if (entry && hash && entry.hash === hash) {
+        return entry;
+    }
+
+    if (entry && !hash) {
+        revalidateCachedResource(url, name, entry, parse, null)
+            .then(updated => {
+                if (updated && onUpdate) {
+                    onUpdate(updated);
+                }
+            })
+            .catch(error => console.warn(`Could not revalidate ${url}:`, error));
+        return entry;
+    }
+
+    return revalidateCachedResource(url, name, null, parse, hash);
+}
+
+/**
+ * Fetch a resource, sending the validators of the cached copy
+ * @param {string} url - Resource URL
+ * @param {string} name - Cache entry name
+ * @param {Object|null} entry - Cached copy
+ * @param {Function|null} parse - See loadCachedResource
+ * @param {string|null} hash - Content hash to store with the entry
+ * @returns {Promise<Object|null>} - New cache entry, null when the cached
+ *          copy is still current
+ */
+async function revalidateCachedResource(url, name, entry, parse, hash) {
+    const headers = {};
+    if (entry && entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    // no-cache still lets the browser answer 304 from its HTTP cache, but
+    // never a stale copy without asking the server
+    const response = await fetchWithRetry(url, { headers, cache: 'no-cache' });
+    if (response.status === 304 && entry) {
+        return null;
+    }
+    if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const text = await response.text();
+    if (entry && entry.text === text) {
+        return null;
+    }
+
+    const updated = {
+        text,
+        data: parse ? parse(text) : null,
+        hash: hash || null,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+    writePostCache(name, updated);
+
+    return updated;
+}
+
+/**
+ * Fetch with a timeout, retrying network errors, timeouts and server
+ * errors (5xx, 429) with exponential backoff
+ * Other responses, including 404, are returned at once since trying again
+ * would not change them.
+ * @param {string} url - Resource URL
+ * @param {Object} init - fetch() options
+ * @returns {Promise<Response>} - Response of the last attempt
+ * @throws {Error} - When the last attempt fails or times out
+ */
+async function fetchWithRetry(url, init = {}) {
+    const { timeout, retries, backoff } = POST_FETCH_OPTIONS;
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
+            const retryable = response.status >= 500 || response.status === 429;
+            if (!retryable || attempt >= retries) {
+                return response;
+            }
+        } catch (error) {
+            if (attempt >= retries) {
+                throw error.name === 'AbortError'
+                    ? new Error(`Request for ${url} timed out after ${timeout} ms`)
+                    : error;
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, backoff * 2 ** attempt));
+    }
+}
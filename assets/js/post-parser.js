@@ -0,0 +1,354 @@
+/**
+ * Post Parser
+ * Turns a post's README.md into the post object the blog works with
+ * Shared by blog.js in the browser and by the Node.js build scripts.
+ */
+
+// Frontmatter fields a post may declare (see validateFrontmatter)
+const POST_SCHEMA = {
+    title: { type: 'string', required: true },
+    date: { type: 'date', required: true },
+    category: {
+        type: 'string',
+        required: true,
+        enum: ['General', 'Career', 'Web Development']
+    },
+    tags: { type: 'array', items: 'string', default: [] },
+    excerpt: { type: 'string', default: '' },
+    // Last significant edit; feeds the sitemap's lastmod and dateModified
+    updated: { type: 'date' },
+    // Multi-part posts share a series name; seriesOrder sorts the parts
+    series: { type: 'string' },
+    seriesOrder: { type: 'integer' },
+    // Slugs to always or never recommend under the post (see
+    // scripts/lib/related-posts.js)
+    pinRelated: { type: 'array', items: 'string' },
+    excludeRelated: { type: 'array', items: 'string' },
+    // Language of the post, e.g. 'de'; sets the reading speed (see
+    // assets/js/post-stats.js) and the page's lang
+    language: { type: 'string' }
+};
+
+// Length of generated excerpts, in characters
+const POST_EXCERPT_LENGTH = 200;
+
+// Number of font sizes in a tag cloud (tag-weight-1 to tag-weight-5)
+const TAG_CLOUD_WEIGHTS = 5;
+
+/**
+ * Parse markdown post and extract metadata
+ * @param {string} markdown - Raw markdown content
+ * @param {string} slug - Post slug
+ * @param {Object} renderOptions - Options for parseMarkdown, optional
+ * @returns {Object} - Parsed post data
+ * @throws {Error} - When the frontmatter is malformed or breaks POST_SCHEMA;
+ *         the message lists every problem and `error.problems` holds them
+ */
+function parseMarkdownPost(markdown, slug, renderOptions = {}) {
+    const { post, body } = extractPostMetadata(markdown, slug);
+
+    // Convert markdown to HTML
+    post.content = getMarkdownRenderer()(body, renderOptions);
+
+    return post;
+}
+
+/**
+ * Read the metadata of a post without rendering its body
+ * @param {string} markdown - Raw markdown content
+ * @param {string} slug - Post slug
+ * @returns {Object} - Post data without `content`
+ * @throws {Error} - Same as parseMarkdownPost
+ */
+function parsePostMetadata(markdown, slug) {
+    return extractPostMetadata(markdown, slug).post;
+}
+
+/**
+ * Split a post into validated metadata and markdown body
+ * @param {string} markdown - Raw markdown content
+ * @param {string} slug - Post slug
+ * @returns {Object} - { post, body }
+ */
+function extractPostMetadata(markdown, slug) {
+    const { data, content, errors } = getFrontmatterParser()(markdown, POST_SCHEMA);
+
+    if (data.seriesOrder !== undefined && !data.series) {
+        errors.push('Field "seriesOrder" needs a "series" to order the post in');
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid frontmatter in post "${slug}":\n${errors.map(problem => `  - ${problem}`).join('\n')}`);
+        error.slug = slug;
+        error.problems = errors;
+        throw error;
+    }
+
+    const post = {
+        slug,
+        ...data,
+        ...getStatsCounter()(content, data.language)
+    };
+
+    // Generate excerpt if not provided
+    if (!post.excerpt) {
+        const textContent = content.replace(/[#*`]/g, '').replace(/\n+/g, ' ').trim();
+        post.excerpt = textContent.substring(0, POST_EXCERPT_LENGTH) +
+                      (textContent.length > POST_EXCERPT_LENGTH ? '...' : '');
+    }
+
+    return { post, body: content };
+}
+
+/**
+ * Describe a post as schema.org BlogPosting structured data (JSON-LD)
+ * @param {Object} post - Post data
+ * @param {Object} site - { url (absolute post URL), author, blogUrl }
+ * @returns {Object} - JSON-LD object
+ */
+function createPostStructuredData(post, site) {
+    const author = { '@type': 'Person', name: site.author };
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: post.title,
+        description: post.excerpt,
+        url: site.url,
+        mainEntityOfPage: { '@type': 'WebPage', '@id': site.url },
+        datePublished: post.date,
+        dateModified: post.updated || post.date,
+        author,
+        publisher: author,
+        articleSection: post.category,
+        keywords: post.tags.join(', '),
+        wordCount: post.wordCount,
+        isPartOf: { '@type': 'Blog', '@id': site.blogUrl }
+    };
+}
+
+/**
+ * Serialize JSON-LD for an inline <script> element
+ * @param {Object} data - JSON-LD object
+ * @returns {string} - JSON text that cannot close the script element
+ */
+function serializeStructuredData(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * Count the posts of every tag
+ * Tags that only differ in case or punctuation share a slug and are
+ * counted together under the spelling seen first. The weight places the
+ * count on a log scale from 1 to TAG_CLOUD_WEIGHTS, so one popular tag
+ * does not dwarf the rest of a tag cloud.
+ * @param {Array<Object>} posts - Posts (or manifest entries) with tags
+ * @returns {Array<Object>} - [{ name, slug, count, weight }] sorted by name
+ */
+function collectPostTags(posts) {
+    const generateSlug = getSlugGenerator();
+    const tags = new Map();
+
+    posts.forEach(post => {
+        post.tags.forEach(tag => {
+            const slug = generateSlug(tag);
+            if (!tags.has(slug)) {
+                tags.set(slug, { name: tag, slug, count: 0, weight: 1 });
+            }
+            tags.get(slug).count++;
+        });
+    });
+
+    const list = Array.from(tags.values()).sort((a, b) => a.name.localeCompare(b.name));
+    const maxCount = Math.max(1, ...list.map(tag => tag.count));
+    if (maxCount > 1) {
+        list.forEach(tag => {
+            tag.weight = 1 + Math.round((TAG_CLOUD_WEIGHTS - 1) * Math.log(tag.count) / Math.log(maxCount));
+        });
+    }
+
+    return list;
+}
+
+/**
+ * Find the posts to link from a post page: the parts of its series, or
+ * the posts before and after it by date when it is not in a series
+ * Series parts are ordered by seriesOrder, parts without one going last,
+ * then by date.
+ * @param {Object} post - Post (or manifest entry) to navigate from
+ * @param {Array<Object>} posts - Every post, in any order; the post itself
+ *        may be missing, e.g. before the manifest was rebuilt
+ * @returns {Object} - { series, previous, next }: series is null or
+ *          { name, parts, index } with `index` the position of the post in
+ *          `parts`; previous and next are posts or null
+ */
+function getPostNavigation(post, posts) {
+    const others = posts.filter(item => item.slug !== post.slug);
+    let sequence;
+    let series = null;
+
+    if (post.series) {
+        const seriesOrder = item => (Number.isInteger(item.seriesOrder) ? item.seriesOrder : Infinity);
+        sequence = [...others.filter(item => item.series === post.series), post]
+            .sort((a, b) => seriesOrder(a) - seriesOrder(b) || comparePostDates(a, b));
+    } else {
+        sequence = [...others, post].sort(comparePostDates);
+    }
+
+    const index = sequence.indexOf(post);
+    if (post.series) {
+        series = { name: post.series, parts: sequence, index };
+    }
+
+    return {
+        series,
+        previous: sequence[index - 1] || null,
+        next: sequence[index + 1] || null
+    };
+}
+
+/**
+ * Sort posts from oldest to newest, by slug within a day
+ * @param {Object} a - Post
+ * @param {Object} b - Post
+ * @returns {number}
+ */
+function comparePostDates(a, b) {
+    return String(a.date).localeCompare(String(b.date)) || a.slug.localeCompare(b.slug);
+}
+
+/**
+ * Create the HTML of the box that lists the parts of a series
+ * @param {Object|null} series - From getPostNavigation
+ * @returns {string} - HTML string, '' when the post is not in a series
+ */
+function createSeriesHtml(series) {
+    if (!series) return '';
+
+    const escape = getHtmlEscaper();
+    const parts = series.parts.map((part, index) => index === series.index
+        ? `        <li class="post-series-part current" aria-current="page">${escape(part.title)}</li>`
+        : `        <li class="post-series-part"><a href="${escape(getPostPath(part.slug))}">${escape(part.title)}</a></li>`);
+
+    return [
+        `<aside class="post-series" aria-label="Series: ${escape(series.name)}">`,
+        '    <p class="post-series-title">',
+        `        <i class="fas fa-layer-group"></i> ${escape(series.name)}`,
+        `        <span class="post-series-progress">Part ${series.index + 1} of ${series.parts.length}</span>`,
+        '    </p>',
+        '    <ol class="post-series-parts">',
+        ...parts,
+        '    </ol>',
+        '</aside>'
+    ].join('\n');
+}
+
+/**
+ * Create the HTML of the previous/next links at the end of a post
+ * @param {Object} navigation - From getPostNavigation
+ * @returns {string} - HTML string, '' when there is nothing to link
+ */
+function createAdjacentPostsHtml({ series, previous, next }) {
+    if (!previous && !next) return '';
+
+    const escape = getHtmlEscaper();
+    const noun = series ? 'part' : 'post';
+    const createLink = (post, direction) => {
+        const label = direction === 'prev'
+            ? `<i class="fas fa-arrow-left"></i> Previous ${noun}`
+            : `Next ${noun} <i class="fas fa-arrow-right"></i>`;
+
+        return [
+            `    <a href="${escape(getPostPath(post.slug))}" class="post-adjacent-link post-adjacent-${direction}" rel="${direction}">`,
+            `        <span class="post-adjacent-label">${label}</span>`,
+            `        <span class="post-adjacent-title">${escape(post.title)}</span>`,
+            '    </a>'
+        ].join('\n');
+    };
+
+    return [
+        `<nav class="post-adjacent" aria-label="${series ? 'Series navigation' : 'More posts'}">`,
+        ...(previous ? [createLink(previous, 'prev')] : []),
+        ...(next ? [createLink(next, 'next')] : []),
+        '</nav>'
+    ].join('\n');
+}
+
+/**
+ * Get the URL of a post page relative to the blog directory
+ * @param {string} slug - Post slug
+ * @returns {string} - e.g. "my-post.html"
+ */
+function getPostPath(slug) {
+    return `${encodeURIComponent(slug)}.html`;
+}
+
+/**
+ * Get parseFrontmatter, from the page or from frontmatter.js in Node.js
+ * @returns {Function} - parseFrontmatter
+ */
+function getFrontmatterParser() {
+    if (typeof parseFrontmatter === 'function') {
+        return parseFrontmatter;
+    }
+    return require('./frontmatter.js').parseFrontmatter;
+}
+
+/**
+ * Get parseMarkdown, from the page or from markdown-parser.js in Node.js
+ * @returns {Function} - parseMarkdown
+ */
+function getMarkdownRenderer() {
+    if (typeof parseMarkdown === 'function') {
+        return parseMarkdown;
+    }
+    return require('./markdown-parser.js').parseMarkdown;
+}
+
+/**
+ * Get getPostStats, from the page or from post-stats.js in Node.js
+ * @returns {Function} - getPostStats
+ */
+function getStatsCounter() {
+    if (typeof getPostStats === 'function') {
+        return getPostStats;
+    }
+    return require('./post-stats.js').getPostStats;
+}
+
+/**
+ * Get escapeHtml, from the page or from markdown-parser.js in Node.js
+ * @returns {Function} - escapeHtml
+ */
+function getHtmlEscaper() {
+    if (typeof escapeHtml === 'function') {
+        return escapeHtml;
+    }
+    return require('./markdown-parser.js').escapeHtml;
+}
+
+/**
+ * Get generateHeaderId, from the page or from markdown-parser.js in Node.js
+ * @returns {Function} - generateHeaderId
+ */
+function getSlugGenerator() {
+    if (typeof generateHeaderId === 'function') {
+        return generateHeaderId;
+    }
+    return require('./markdown-parser.js').generateHeaderId;
+}
+
+// Export for Node.js build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POST_SCHEMA,
+        parseMarkdownPost,
+        parsePostMetadata,
+        createPostStructuredData,
+        serializeStructuredData,
+        collectPostTags,
+        getPostNavigation,
+        createSeriesHtml,
+        createAdjacentPostsHtml
+    };
+}
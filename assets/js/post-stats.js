@@ -0,0 +1,194 @@
+/**
+ * Post statistics
+ * Counts the prose words, code blocks, headings and images of a post from
+ * its markdown AST and estimates the reading time from them. Code, URLs
+ * and markup are not prose, so they add time of their own instead of
+ * words. Shared by post-parser.js in the browser and the build scripts.
+ */
+
+// Silent reading speed of prose per language (primary subtag of the
+// post's `language`), from Trauzettel-Klosinski & Dietz (2012). Chinese
+// and Japanese are counted in characters per minute, as they do not put
+// spaces between words.
+const READING_SPEEDS = {
+    ar: 138,
+    de: 179,
+    en: 228,
+    es: 218,
+    fi: 161,
+    fr: 195,
+    he: 187,
+    it: 188,
+    ja: 357,
+    nl: 202,
+    pl: 166,
+    pt: 181,
+    ru: 184,
+    sl: 180,
+    sv: 199,
+    tr: 166,
+    zh: 255
+};
+const DEFAULT_READING_LANGUAGE = 'en';
+
+// Time added for what is looked at rather than read
+const READING_TIME_OPTIONS = {
+    codeLineSeconds: 3, // Per non-blank line of a code block
+    firstImageSeconds: 12, // For the first image, one second less for each further one...
+    minImageSeconds: 3 // ...down to this
+};
+
+// Han characters and kana, each counted as a word
+const CJK_CHARACTER_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g;
+
+// Bare URLs, e.g. the text of <https://example.com> autolinks
+const URL_WORD_PATTERN = /^(?:[a-z][a-z\d+.-]*:\/\/|www\.)/i;
+
+// Nodes whose children run on in the same line of text
+const INLINE_CONTAINERS = new Set(['emphasis', 'strong', 'delete', 'link']);
+
+/**
+ * Count the contents of a post and estimate its reading time
+ * @param {string} markdown - Markdown body, without frontmatter
+ * @param {string} language - Language of the post, e.g. 'en' or 'pt-BR'
+ *        (default DEFAULT_READING_LANGUAGE); languages missing from
+ *        READING_SPEEDS read at the speed of the default
+ * @returns {Object} - { wordCount, codeBlockCount, codeLineCount,
+ *          inlineCodeCount, headingCount, imageCount, readingTime };
+ *          readingTime is in whole minutes, at least 1
+ */
+function getPostStats(markdown, language = DEFAULT_READING_LANGUAGE) {
+    const stats = {
+        wordCount: 0,
+        codeBlockCount: 0,
+        codeLineCount: 0,
+        inlineCodeCount: 0,
+        headingCount: 0,
+        imageCount: 0,
+        readingTime: 0
+    };
+    const text = [];
+
+    function visit(node) {
+        switch (node.type) {
+            case 'text':
+                text.push(node.value);
+                return;
+            case 'inlineCode':
+                // Code within a sentence is counted apart from the words
+                stats.inlineCodeCount++;
+                text.push(' ');
+                return;
+            case 'code':
+                stats.codeBlockCount++;
+                stats.codeLineCount += node.value.split('\n').filter(line => line.trim()).length;
+                text.push('\n');
+                return;
+            case 'image':
+                // The alt text stands in for the image, which is timed below
+                stats.imageCount++;
+                text.push(' ');
+                return;
+            case 'html':
+            case 'entity':
+            case 'softbreak':
+            case 'break':
+                text.push(' ');
+                return;
+            case 'heading':
+                stats.headingCount++;
+                break;
+        }
+
+        if (node.children) {
+            node.children.forEach(visit);
+            if (!INLINE_CONTAINERS.has(node.type)) {
+                text.push('\n');
+            }
+        }
+    }
+
+    visit(getMarkdownAstParser()(markdown));
+    stats.wordCount = countWords(text.join(''));
+    stats.readingTime = getReadingTime(stats, language);
+
+    return stats;
+}
+
+/**
+ * Count the words of prose
+ * Chinese and Japanese characters count one each; URLs and runs of
+ * punctuation do not count.
+ * @param {string} text - Plain text
+ * @returns {number} - Word count
+ */
+function countWords(text) {
+    const characters = (text.match(CJK_CHARACTER_PATTERN) || []).length;
+    const words = text
+        .replace(CJK_CHARACTER_PATTERN, ' ')
+        .split(/\s+/)
+        .filter(word => /[\p{L}\p{N}]/u.test(word) && !URL_WORD_PATTERN.test(word));
+
+    return characters + words.length;
+}
+
+/**
+ * Estimate the reading time of a post from its counts
+ * @param {Object} stats - Counts from getPostStats
+ * @param {string} language - Language of the post
+ * @returns {number} - Minutes, rounded, at least 1
+ */
+function getReadingTime(stats, language) {
+    const { codeLineSeconds, firstImageSeconds, minImageSeconds } = READING_TIME_OPTIONS;
+    const primary = String(language || DEFAULT_READING_LANGUAGE).split('-')[0].toLowerCase();
+    const speed = READING_SPEEDS[primary] || READING_SPEEDS[DEFAULT_READING_LANGUAGE];
+
+    let seconds = stats.wordCount / speed * 60 + stats.codeLineCount * codeLineSeconds;
+    for (let i = 0; i < stats.imageCount; i++) {
+        seconds += Math.max(firstImageSeconds - i, minImageSeconds);
+    }
+
+    return Math.max(1, Math.round(seconds / 60));
+}
+
+/**
+ * Describe the counts of a post for display
+ * Code blocks and headings are left out when there are none.
+ * @param {Object} post - Post or manifest entry with the counts of
+ *        getPostStats
+ * @returns {string} - e.g. '1,204 words · 3 code blocks · 5 headings'
+ */
+function formatPostStats(post) {
+    const counts = [
+        [post.wordCount, 'word'],
+        [post.codeBlockCount, 'code block'],
+        [post.headingCount, 'heading']
+    ];
+
+    return counts
+        .filter(([count], index) => index === 0 || count > 0)
+        .map(([count, noun]) => `${count.toLocaleString('en-US')} ${noun}${count === 1 ? '' : 's'}`)
+        .join(' · ');
+}
+
+/**
+ * Get parseMarkdownToAst, from the page or from markdown-parser.js in
+ * Node.js
+ * @returns {Function} - parseMarkdownToAst
+ */
+function getMarkdownAstParser() {
+    if (typeof parseMarkdownToAst === 'function') {
+        return parseMarkdownToAst;
+    }
+    return require('./markdown-parser.js').parseMarkdownToAst;
+}
+
+// Export for Node.js build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        READING_SPEEDS,
+        READING_TIME_OPTIONS,
+        getPostStats,
+        formatPostStats
+    };
+}
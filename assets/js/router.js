@@ -0,0 +1,141 @@
+/**
+ * Small History API router
+ * Maps the URLs below a base directory to named routes and hands them to
+ * a render function. Link clicks and navigate() add history entries
+ * without reloading the page; back/forward re-render the entry and
+ * restore its scroll position.
+ */
+
+/**
+ * Create a router
+ * @param {Object} options - Router options
+ * @param {string} options.base - URL of the directory the route patterns
+ *        are relative to, e.g. 'https://example.com/blog/'
+ * @param {Array<Object>} options.routes - [{ name, pattern }], tried in
+ *        order; pattern is matched against the path below `base`, and its
+ *        named groups become the route params
+ * @param {Function} options.onRoute - (route, action) => void|Promise that
+ *        renders a route; action is 'load', 'push', 'replace' or 'pop'
+ * @returns {Object} - { start, navigate, match, current }
+ */
+function createRouter({ base, routes, onRoute }) {
+    const basePath = new URL(base).pathname;
+    let currentRoute = null;
+
+    /**
+     * Find the route of a URL
+     * @param {string} href - Absolute or relative URL
+     * @returns {Object|null} - { name, params, query, url }, null for URLs
+     *          outside the router (other origins, paths or file types)
+     */
+    function match(href) {
+        const url = new URL(href, window.location.href);
+        if (url.origin !== window.location.origin || !url.pathname.startsWith(basePath)) {
+            return null;
+        }
+
+        const path = decodeURIComponent(url.pathname.slice(basePath.length));
+        for (const route of routes) {
+            const result = route.pattern.exec(path);
+            if (result) {
+                return {
+                    name: route.name,
+                    params: { ...result.groups },
+                    query: url.searchParams,
+                    url: `${url.pathname}${url.search}${url.hash}`
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Remember the scroll position of the current history entry
+     */
+    function saveScrollPosition() {
+        history.replaceState({ ...history.state, scrollY: window.pageYOffset }, '');
+    }
+
+    /**
+     * Go to a URL, rendering it in place when it has a route
+     * @param {string} href - URL to go to
+     * @param {Object} options - { replace }: replace the current history
+     *        entry instead of adding one, e.g. while the reader types
+     * @returns {Promise} - Resolves once the route has rendered
+     */
+    async function navigate(href, { replace = false } = {}) {
+        const route = match(href);
+        if (!route) {
+            window.location.href = href;
+            return;
+        }
+
+        if (replace) {
+            history.replaceState({ ...history.state }, '', route.url);
+        } else {
+            saveScrollPosition();
+            history.pushState({ scrollY: 0 }, '', route.url);
+        }
+
+        currentRoute = route;
+        await onRoute(route, replace ? 'replace' : 'push');
+    }
+
+    /**
+     * Follow same-window clicks on links that have a route
+     * @param {MouseEvent} e - Click event
+     */
+    function handleLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || link.target || link.hasAttribute('download')) return;
+
+        // Anchors within the current page scroll as usual
+        const url = new URL(link.href);
+        if (url.hash && url.pathname === window.location.pathname && url.search === window.location.search) return;
+
+        if (match(link.href)) {
+            e.preventDefault();
+            navigate(link.href);
+        }
+    }
+
+    /**
+     * Render the current URL and start handling links and back/forward
+     * @returns {Promise} - Resolves once the first route has rendered
+     */
+    function start() {
+        history.scrollRestoration = 'manual';
+
+        document.addEventListener('click', handleLinkClick);
+        window.addEventListener('scroll', debounce(saveScrollPosition, 150));
+        window.addEventListener('popstate', async function(e) {
+            const route = match(window.location.href);
+            if (!route) {
+                window.location.reload();
+                return;
+            }
+
+            currentRoute = route;
+            await onRoute(route, 'pop');
+            window.scrollTo(0, (e.state && e.state.scrollY) || 0);
+        });
+
+        // A reload keeps the history entry, and with it the scroll position
+        currentRoute = match(window.location.href);
+        return Promise.resolve(onRoute(currentRoute, 'load')).then(() => {
+            if (history.state && history.state.scrollY) {
+                window.scrollTo(0, history.state.scrollY);
+            }
+        });
+    }
+
+    return {
+        start,
+        navigate,
+        match,
+        current: () => currentRoute
+    };
+}
@@ -0,0 +1,770 @@
+/**
+ * Blog Search
+ * Full-text search over the posts: an inverted index of stemmed terms
+ * with per-field weights, a query syntax with filters (see
+ * parseSearchQuery), ranked results and highlighted snippets.
+ * Shared by blog.js in the browser and by scripts/build-search-index.js,
+ * which prebuilds the index to blog/posts/search-index.json.
+ */
+
+// Bump when the shape of the index changes
+const SEARCH_INDEX_VERSION = 1;
+
+// How much one occurrence of a term counts in each field
+const SEARCH_FIELD_WEIGHTS = {
+    title: 10,
+    tags: 5,
+    headings: 3,
+    body: 1
+};
+
+// Characters of context kept around the first match in a snippet
+const SEARCH_SNIPPET_LENGTH = 180;
+
+// Too common to say anything about a post; never indexed
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+    'has', 'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+    'of', 'on', 'or', 'our', 's', 'so', 't', 'that', 'the', 'their', 'then',
+    'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'will',
+    'with', 'you', 'your'
+]);
+
+// Words: runs of letters and digits, in any script
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/* ------------------------------------------------------------------------
+ * Text analysis
+ * --------------------------------------------------------------------- */
+
+/**
+ * Split text into lowercase words, with accents folded away
+ * @param {string} text - Any text
+ * @returns {Array<string>} - Words in order
+ */
+function tokenizeText(text) {
+    return foldText(text).match(WORD_PATTERN) || [];
+}
+
+/**
+ * Turn text into index terms: tokenize, drop stop words and stem
+ * @param {string} text - Any text
+ * @returns {Array<string>} - Terms in order
+ */
+function analyzeText(text) {
+    return tokenizeText(text)
+        .filter(word => !STOP_WORDS.has(word))
+        .map(stemWord);
+}
+
+/**
+ * Lowercase text and strip diacritics, so "Café" matches "cafe"
+ * @param {string} text - Any text
+ * @returns {string} - Folded text
+ */
+function foldText(text) {
+    return String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Porter stemmer building blocks: consonant and vowel sequences, and the
+// measure of a stem (the number of vowel-consonant sequences in it)
+const STEM_CONSONANT = '[^aeiou]';
+const STEM_VOWEL = '[aeiouy]';
+const STEM_CONSONANTS = `${STEM_CONSONANT}[^aeiouy]*`;
+const STEM_VOWELS = `${STEM_VOWEL}[aeiou]*`;
+const STEM_MEASURE_ABOVE_0 = new RegExp(`^(${STEM_CONSONANTS})?${STEM_VOWELS}${STEM_CONSONANTS}`);
+const STEM_MEASURE_EQUALS_1 = new RegExp(`^(${STEM_CONSONANTS})?${STEM_VOWELS}${STEM_CONSONANTS}(${STEM_VOWELS})?$`);
+const STEM_MEASURE_ABOVE_1 = new RegExp(`^(${STEM_CONSONANTS})?${STEM_VOWELS}${STEM_CONSONANTS}${STEM_VOWELS}${STEM_CONSONANTS}`);
+const STEM_HAS_VOWEL = new RegExp(`^(${STEM_CONSONANTS})?${STEM_VOWEL}`);
+const STEM_SHORT_SYLLABLE = new RegExp(`^${STEM_CONSONANTS}${STEM_VOWEL}[^aeiouwxy]$`);
+
+const STEM_STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+    bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+    ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+    fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+    logi: 'log'
+};
+
+const STEM_STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+/**
+ * Reduce an English word to its stem with the Porter algorithm, so
+ * "coding", "coded" and "codes" all become "code"
+ * Words with anything but a-z (numbers, other scripts) are kept as-is.
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stemWord(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    // A leading y is a consonant; mark it so the vowel patterns skip it
+    const leadingY = word[0] === 'y';
+    let stem = leadingY ? `Y${word.slice(1)}` : word;
+    let match;
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(stem))) {
+        stem = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(stem))) {
+        stem = match[1] + match[2];
+    }
+
+    // Step 1b: -eed, -ed and -ing
+    if ((match = /^(.+?)eed$/.exec(stem))) {
+        if (STEM_MEASURE_ABOVE_0.test(match[1])) {
+            stem = stem.slice(0, -1);
+        }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(stem)) && STEM_HAS_VOWEL.test(match[1])) {
+        stem = match[1];
+        if (/(at|bl|iz)$/.test(stem)) {
+            stem += 'e';
+        } else if (/([^aeiouylsz])\1$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        } else if (STEM_SHORT_SYLLABLE.test(stem)) {
+            stem += 'e';
+        }
+    }
+
+    // Step 1c: terminal y after a vowel becomes i
+    if ((match = /^(.+?)y$/.exec(stem)) && STEM_HAS_VOWEL.test(match[1])) {
+        stem = `${match[1]}i`;
+    }
+
+    // Steps 2 and 3: map double suffixes to single ones
+    match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(stem);
+    if (match && STEM_MEASURE_ABOVE_0.test(match[1])) {
+        stem = match[1] + STEM_STEP2_SUFFIXES[match[2]];
+    }
+
+    match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(stem);
+    if (match && STEM_MEASURE_ABOVE_0.test(match[1])) {
+        stem = match[1] + STEM_STEP3_SUFFIXES[match[2]];
+    }
+
+    // Step 4: drop suffixes from long stems
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(stem))) {
+        if (STEM_MEASURE_ABOVE_1.test(match[1])) {
+            stem = match[1];
+        }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(stem))) {
+        if (STEM_MEASURE_ABOVE_1.test(match[1] + match[2])) {
+            stem = match[1] + match[2];
+        }
+    }
+
+    // Step 5: tidy up a final e and a double l
+    if ((match = /^(.+?)e$/.exec(stem))) {
+        const base = match[1];
+        if (STEM_MEASURE_ABOVE_1.test(base) ||
+            (STEM_MEASURE_EQUALS_1.test(base) && !STEM_SHORT_SYLLABLE.test(base))) {
+            stem = base;
+        }
+    }
+    if (/ll$/.test(stem) && STEM_MEASURE_ABOVE_1.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+
+    return leadingY ? `y${stem.slice(1)}` : stem;
+}
+
+/* ------------------------------------------------------------------------
+ * Index building
+ * --------------------------------------------------------------------- */
+
+/**
+ * Collect the searchable text of a post
+ * Without the markdown (e.g. when only the manifest is available) the
+ * excerpt stands in for the body.
+ * @param {Object} post - Post data: slug, title, category, tags, excerpt
+ * @param {string} markdown - Post body without frontmatter, optional
+ * @returns {Object} - { slug, title, tags, headings, paragraphs }
+ */
+function createSearchDocument(post, markdown) {
+    const searchDocument = {
+        slug: post.slug,
+        title: post.title,
+        tags: [...post.tags, post.category],
+        headings: [],
+        paragraphs: []
+    };
+
+    if (!markdown) {
+        if (post.excerpt) {
+            searchDocument.paragraphs.push(post.excerpt);
+        }
+        return searchDocument;
+    }
+
+    const { parseMarkdownToAst, getTextContent } = getMarkdownApi();
+    const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+    const walk = node => {
+        switch (node.type) {
+            case 'heading':
+                searchDocument.headings.push(normalize(getTextContent(node)));
+                break;
+            case 'paragraph':
+            case 'code':
+                searchDocument.paragraphs.push(normalize(getTextContent(node)));
+                break;
+            case 'table':
+                node.children.forEach(row => {
+                    searchDocument.paragraphs.push(normalize(row.children.map(getTextContent).join(' ')));
+                });
+                break;
+            default:
+                if (node.children) {
+                    node.children.forEach(walk);
+                }
+        }
+    };
+    walk(parseMarkdownToAst(markdown));
+
+    searchDocument.paragraphs = searchDocument.paragraphs.filter(Boolean);
+    return searchDocument;
+}
+
+/**
+ * Build the search index
+ * Each term maps to postings of [document number, weighted count], where
+ * an occurrence counts SEARCH_FIELD_WEIGHTS[field] times.
+ * @param {Array<Object>} documents - From createSearchDocument
+ * @returns {Object} - { version, documents: [{ slug, title, paragraphs }], terms }
+ */
+function buildSearchIndex(documents) {
+    const terms = {};
+
+    documents.forEach((searchDocument, documentIndex) => {
+        const counts = new Map();
+        const fields = {
+            title: [searchDocument.title],
+            tags: searchDocument.tags,
+            headings: searchDocument.headings,
+            body: searchDocument.paragraphs
+        };
+
+        Object.entries(fields).forEach(([field, texts]) => {
+            texts.forEach(text => {
+                analyzeText(text).forEach(term => {
+                    counts.set(term, (counts.get(term) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+                });
+            });
+        });
+
+        counts.forEach((count, term) => {
+            // Own-property check: a term such as "constructor" must not
+            // find Object.prototype
+            if (!Object.prototype.hasOwnProperty.call(terms, term)) {
+                terms[term] = [];
+            }
+            terms[term].push([documentIndex, count]);
+        });
+    });
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        documents: documents.map(({ slug, title, paragraphs }) => ({ slug, title, paragraphs })),
+        terms
+    };
+}
+
+/* ------------------------------------------------------------------------
+ * Query syntax
+ * --------------------------------------------------------------------- */
+
+// Filters written as field:value; anything else with a colon is text
+const SEARCH_QUERY_FIELDS = ['category', 'tag', 'date', 'before', 'after'];
+
+/**
+ * Parse a search query
+ *
+ *   react hooks              posts matching both words
+ *   "design system"          the exact phrase
+ *   category:Career          posts in a category (quote values with spaces)
+ *   tag:javascript           posts with a tag
+ *   tag:css,html             posts with either tag (also for category:)
+ *   date:2025-08             posts from a year, month or day
+ *   after:2024 before:2025-06  date ranges (YYYY, YYYY-MM or YYYY-MM-DD);
+ *                            both bounds are exclusive
+ *   -draft  -tag:meta        exclude a word, phrase or filter
+ *   git OR svn               either side; AND binds tighter than OR
+ *
+ * Field names are case-insensitive; OR must be uppercase.
+ * @param {string} query - Search text
+ * @returns {Object} - { alternatives, errors }: alternatives is a list of
+ *          clause lists, where each clause is { field, value, negated }
+ *          with field 'text', 'phrase' or one of SEARCH_QUERY_FIELDS
+ */
+function parseSearchQuery(query) {
+    const alternatives = [[]];
+    const errors = [];
+    const text = String(query || '');
+    let position = 0;
+
+    while (position < text.length) {
+        if (/\s/.test(text[position])) {
+            position++;
+            continue;
+        }
+
+        const start = position;
+        const negated = text[position] === '-' && position + 1 < text.length && !/\s/.test(text[position + 1]);
+        if (negated) position++;
+
+        let clause;
+        if (text[position] === '"') {
+            const phrase = readQuotedValue(text, position);
+            position = phrase.end;
+            clause = { field: 'phrase', value: phrase.value, negated };
+        } else {
+            const fieldMatch = /^([a-z]+):(?=\S)/i.exec(text.slice(position));
+            const field = fieldMatch && fieldMatch[1].toLowerCase();
+
+            if (field && SEARCH_QUERY_FIELDS.includes(field)) {
+                position += fieldMatch[0].length;
+                const value = text[position] === '"'
+                    ? readQuotedValue(text, position)
+                    : readBareValue(text, position);
+                position = value.end;
+                clause = { field, value: value.value, negated };
+            } else {
+                const word = readBareValue(text, position);
+                position = word.end;
+
+                if (word.value === 'OR' && !negated) {
+                    alternatives.push([]);
+                    continue;
+                }
+                clause = { field: 'text', value: word.value, negated };
+            }
+        }
+
+        if (!clause.value.trim()) continue;
+
+        if (['date', 'before', 'after'].includes(clause.field)) {
+            clause.range = parseDateBound(clause.value);
+            if (!clause.range) {
+                clause.error = `Invalid date "${clause.value}" in ${text.slice(start, position)} (use YYYY, YYYY-MM or YYYY-MM-DD)`;
+                errors.push(clause.error);
+            }
+        }
+
+        alternatives[alternatives.length - 1].push(clause);
+    }
+
+    // The word being typed also matches as a prefix
+    const lastClauses = alternatives[alternatives.length - 1];
+    const lastClause = lastClauses[lastClauses.length - 1];
+    if (lastClause && lastClause.field === 'text' && !lastClause.negated && !/\s$/.test(text)) {
+        lastClause.prefix = true;
+    }
+
+    return {
+        alternatives: alternatives.filter(clauses => clauses.length > 0),
+        errors
+    };
+}
+
+/**
+ * Read a double-quoted value; an unterminated quote runs to the end
+ * @param {string} text - Query text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} - { value, end }
+ */
+function readQuotedValue(text, start) {
+    const close = text.indexOf('"', start + 1);
+    return close === -1
+        ? { value: text.slice(start + 1), end: text.length }
+        : { value: text.slice(start + 1, close), end: close + 1 };
+}
+
+/**
+ * Read a value up to the next whitespace
+ * @param {string} text - Query text
+ * @param {number} start - Index of the first character
+ * @returns {Object} - { value, end }
+ */
+function readBareValue(text, start) {
+    const match = /^\S*/.exec(text.slice(start));
+    return { value: match[0], end: start + match[0].length };
+}
+
+/**
+ * Turn a date:, before: or after: value into the first and last day it
+ * covers
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {Object|null} - { start, end } as YYYY-MM-DD, null when invalid
+ */
+function parseDateBound(value) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+    if (!match) return null;
+
+    const [, year, month, day] = match;
+    if (month && (Number(month) < 1 || Number(month) > 12)) return null;
+    if (day) {
+        const date = new Date(`${value}T00:00:00Z`);
+        if (isNaN(date.getTime()) || date.getUTCDate() !== Number(day)) return null;
+        return { start: value, end: value };
+    }
+    if (month) {
+        return { start: `${year}-${month}-01`, end: `${year}-${month}-31` };
+    }
+    return { start: `${year}-01-01`, end: `${year}-12-31` };
+}
+
+/**
+ * Write a clause back as query text
+ * @param {Object} clause - Clause from parseSearchQuery
+ * @returns {string} - e.g. 'tag:css', '-"exact phrase"', 'category:"Web Development"'
+ */
+function formatSearchClause(clause) {
+    const quote = value => `"${value}"`;
+    let text;
+
+    if (clause.field === 'text') {
+        text = clause.value;
+    } else if (clause.field === 'phrase') {
+        text = quote(clause.value);
+    } else {
+        text = `${clause.field}:${/\s/.test(clause.value) ? quote(clause.value) : clause.value}`;
+    }
+
+    return clause.negated ? `-${text}` : text;
+}
+
+/**
+ * Write a parsed query back as query text
+ * @param {Object} parsedQuery - From parseSearchQuery
+ * @returns {string} - Query text
+ */
+function stringifySearchQuery(parsedQuery) {
+    return parsedQuery.alternatives
+        .map(clauses => clauses.map(formatSearchClause).join(' '))
+        .filter(Boolean)
+        .join(' OR ');
+}
+
+/* ------------------------------------------------------------------------
+ * Querying
+ * --------------------------------------------------------------------- */
+
+/**
+ * Find the posts matching a parsed query
+ * Words are looked up in the index and must all match; documents are
+ * ranked by the sum of (1 + ln(weighted count)) * idf over the matched
+ * terms, and phrases, filters and exclusions narrow the result down.
+ * Queries without words keep the order of `posts`.
+ * @param {Object} index - From buildSearchIndex
+ * @param {Array<Object>} posts - Posts to search: slug, title, category, tags, date
+ * @param {Object} parsedQuery - From parseSearchQuery
+ * @returns {Array<Object>} - [{ slug, score, titleHtml, snippetHtml }], best
+ *          first; snippetHtml is null when no paragraph matched
+ */
+function searchPosts(index, posts, parsedQuery) {
+    const documentsBySlug = new Map(index.documents.map((entry, documentIndex) => [entry.slug, documentIndex]));
+    const matches = new Map();
+
+    parsedQuery.alternatives.forEach(clauses => {
+        const words = clauses.filter(clause => clause.field === 'text' && !clause.negated);
+        const wordMatches = words.length > 0 ? matchWords(index, words) : null;
+
+        posts.forEach(post => {
+            const documentIndex = documentsBySlug.has(post.slug) ? documentsBySlug.get(post.slug) : -1;
+            const textScore = wordMatches ? wordMatches.scores.get(documentIndex) : 0;
+            if (textScore === undefined) return;
+
+            const terms = new Set(wordMatches ? wordMatches.terms : []);
+            const accepted = clauses.every(clause => {
+                const matched = matchClause(clause, post, index, documentIndex);
+                if (matched && clause.field === 'phrase' && !clause.negated) {
+                    analyzeText(clause.value).forEach(term => terms.add(term));
+                }
+                return matched;
+            });
+            if (!accepted) return;
+
+            // A post matching several alternatives keeps its best score
+            const previous = matches.get(post.slug);
+            if (previous) {
+                previous.score = Math.max(previous.score, textScore);
+                terms.forEach(term => previous.terms.add(term));
+            } else {
+                matches.set(post.slug, { post, documentIndex, score: textScore, terms });
+            }
+        });
+    });
+
+    // Array.prototype.sort is stable, so ties keep the order of `posts`
+    return Array.from(matches.values())
+        .sort((a, b) => b.score - a.score)
+        .map(({ post, documentIndex, score, terms }) => {
+            const entry = documentIndex === -1 ? null : index.documents[documentIndex];
+            return {
+                slug: post.slug,
+                score,
+                titleHtml: highlightTerms(post.title, terms),
+                snippetHtml: entry ? createSnippet(entry.paragraphs, terms) : null
+            };
+        });
+}
+
+/**
+ * Score the documents containing every word of a query
+ * @param {Object} index - From buildSearchIndex
+ * @param {Array<Object>} words - Text clauses; a clause with `prefix` also
+ *        matches the terms it starts
+ * @returns {Object} - { scores: Map of document number to score, terms }
+ */
+function matchWords(index, words) {
+    const documentCount = index.documents.length;
+    const allTerms = Object.keys(index.terms);
+    const terms = new Set();
+    let scores = null;
+
+    words.forEach(clause => {
+        analyzeText(clause.value).forEach(queryTerm => {
+            const expansions = clause.prefix
+                ? allTerms.filter(term => term.startsWith(queryTerm))
+                : allTerms.filter(term => term === queryTerm);
+
+            const termScores = new Map();
+            expansions.forEach(term => {
+                const postings = index.terms[term];
+                const idf = Math.log(1 + documentCount / postings.length);
+                postings.forEach(([documentIndex, count]) => {
+                    const score = (1 + Math.log(count)) * idf;
+                    termScores.set(documentIndex, (termScores.get(documentIndex) || 0) + score);
+                });
+                terms.add(term);
+            });
+
+            // Keep only the documents that matched every term so far
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                scores.forEach((score, documentIndex) => {
+                    if (termScores.has(documentIndex)) {
+                        scores.set(documentIndex, score + termScores.get(documentIndex));
+                    } else {
+                        scores.delete(documentIndex);
+                    }
+                });
+            }
+        });
+    });
+
+    // Words made only of stop words do not narrow the search
+    if (scores === null) {
+        scores = new Map(index.documents.map((entry, documentIndex) => [documentIndex, 0]));
+    }
+
+    return { scores, terms };
+}
+
+/**
+ * Check one clause against a post
+ * Positive words are handled by matchWords; invalid clauses match anything.
+ * @param {Object} clause - Clause from parseSearchQuery
+ * @param {Object} post - Post data
+ * @param {Object} index - From buildSearchIndex
+ * @param {number} documentIndex - The post's document number, -1 if not indexed
+ * @returns {boolean} - Whether the post satisfies the clause
+ */
+function matchClause(clause, post, index, documentIndex) {
+    let matched;
+
+    switch (clause.field) {
+        case 'text': {
+            if (!clause.negated) return true;
+            const queryTerms = analyzeText(clause.value);
+            matched = queryTerms.length > 0 && queryTerms.every(term =>
+                Object.prototype.hasOwnProperty.call(index.terms, term) &&
+                index.terms[term].some(([entry]) => entry === documentIndex));
+            break;
+        }
+        case 'phrase':
+            matched = documentIndex !== -1 && containsPhrase(index.documents[documentIndex], clause.value);
+            break;
+        case 'category':
+            matched = splitFilterValues(clause.value).some(value => sameFilterValue(post.category, value));
+            break;
+        case 'tag':
+            matched = splitFilterValues(clause.value).some(value =>
+                post.tags.some(tag => sameFilterValue(tag, value)));
+            break;
+        case 'date':
+            if (!clause.range) return true;
+            matched = post.date.slice(0, 10) >= clause.range.start && post.date.slice(0, 10) <= clause.range.end;
+            break;
+        case 'before':
+            if (!clause.range) return true;
+            matched = post.date.slice(0, 10) < clause.range.start;
+            break;
+        case 'after':
+            if (!clause.range) return true;
+            matched = post.date.slice(0, 10) > clause.range.end;
+            break;
+        default:
+            return true;
+    }
+
+    return clause.negated ? !matched : matched;
+}
+
+/**
+ * Check whether a document's title or paragraphs contain a phrase, word
+ * for word and ignoring case, accents and punctuation
+ * @param {Object} entry - Index document
+ * @param {string} phrase - Phrase text
+ * @returns {boolean}
+ */
+function containsPhrase(entry, phrase) {
+    const words = tokenizeText(phrase).join(' ');
+    if (!words) return true;
+
+    return [entry.title, ...entry.paragraphs].some(text =>
+        ` ${tokenizeText(text).join(' ')} `.includes(` ${words} `));
+}
+
+/**
+ * Split a comma-separated filter value into the values it allows
+ * @param {string} value - e.g. 'css,html'
+ * @returns {Array<string>} - e.g. ['css', 'html']
+ */
+function splitFilterValues(value) {
+    return value.split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Compare a category or tag with a filter value, so that
+ * category:web-development matches "Web Development"
+ * @param {string} actual - Category or tag of a post
+ * @param {string} wanted - Filter value
+ * @returns {boolean}
+ */
+function sameFilterValue(actual, wanted) {
+    return tokenizeText(actual).join(' ') === tokenizeText(wanted).join(' ');
+}
+
+/**
+ * Cut a highlighted snippet from the paragraph that matches best
+ * @param {Array<string>} paragraphs - Paragraph texts of a document
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string|null} - HTML, or null when no paragraph matches
+ */
+function createSnippet(paragraphs, terms) {
+    let best = null;
+
+    paragraphs.forEach(paragraph => {
+        const matches = findTermMatches(paragraph, terms);
+        if (matches.length === 0) return;
+
+        const distinct = new Set(matches.map(match => match.term)).size;
+        if (!best || distinct > best.distinct ||
+            (distinct === best.distinct && matches.length > best.matches.length)) {
+            best = { paragraph, matches, distinct };
+        }
+    });
+
+    if (!best) return null;
+
+    const { paragraph, matches } = best;
+    if (paragraph.length <= SEARCH_SNIPPET_LENGTH) {
+        return highlightTerms(paragraph, terms);
+    }
+
+    // Start a little before the first match, on a word boundary
+    let start = Math.max(0, matches[0].start - Math.floor(SEARCH_SNIPPET_LENGTH / 3));
+    if (start > 0) {
+        const space = paragraph.indexOf(' ', start);
+        start = space === -1 || space >= matches[0].start ? start : space + 1;
+    }
+
+    let end = Math.min(paragraph.length, start + SEARCH_SNIPPET_LENGTH);
+    if (end < paragraph.length) {
+        const space = paragraph.lastIndexOf(' ', end);
+        end = space > matches[0].end ? space : end;
+    }
+
+    return `${start > 0 ? '&hellip;' : ''}${highlightTerms(paragraph.slice(start, end), terms)}${end < paragraph.length ? '&hellip;' : ''}`;
+}
+
+/**
+ * Escape text for HTML and wrap the words that match in <mark>
+ * @param {string} text - Plain text
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string} - HTML
+ */
+function highlightTerms(text, terms) {
+    const { escapeHtml } = getMarkdownApi();
+    let html = '';
+    let position = 0;
+
+    findTermMatches(text, terms).forEach(match => {
+        html += escapeHtml(text.slice(position, match.start));
+        html += `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+        position = match.end;
+    });
+
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Find the words of a text whose index term is one of the given terms
+ * @param {string} text - Plain text
+ * @param {Set<string>} terms - Index terms
+ * @returns {Array<Object>} - [{ start, end, term }] in text order
+ */
+function findTermMatches(text, terms) {
+    const matches = [];
+    const pattern = new RegExp(WORD_PATTERN.source, WORD_PATTERN.flags);
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const word = foldText(match[0]);
+        if (STOP_WORDS.has(word)) continue;
+
+        const term = stemWord(word);
+        if (terms.has(term)) {
+            matches.push({ start: match.index, end: match.index + match[0].length, term });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Get the markdown-parser.js helpers, from the page or via require in
+ * Node.js
+ * @returns {Object} - { parseMarkdownToAst, getTextContent, escapeHtml }
+ */
+function getMarkdownApi() {
+    if (typeof parseMarkdownToAst === 'function') {
+        return { parseMarkdownToAst, getTextContent, escapeHtml };
+    }
+    return require('./markdown-parser.js');
+}
+
+// Export for Node.js build scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_INDEX_VERSION,
+        SEARCH_FIELD_WEIGHTS,
+        tokenizeText,
+        analyzeText,
+        stemWord,
+        createSearchDocument,
+        buildSearchIndex,
+        parseSearchQuery,
+        formatSearchClause,
+        stringifySearchQuery,
+        splitFilterValues,
+        searchPosts,
+        highlightTerms
+    };
+}
@@ -0,0 +1,298 @@
+/**
+ * Syntax Highlighter
+ * Dependency-free tokenizer for the code blocks rendered by the markdown parser
+ * Supports JavaScript/TypeScript, HTML, CSS, JSON, Bash and Python
+ *
+ * Each language is an ordered list of rules. At every position the first
+ * rule whose pattern matches wins; text no rule matches is left plain.
+ * Rules with `inside` tokenize their match again with another rule set,
+ * which is how HTML tags, attributes and embedded scripts are handled.
+ */
+
+const JAVASCRIPT_RULES = [
+    { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+    { type: 'string', pattern: /`(?:\\[\s\S]|\$\{(?:[^{}]|\{[^{}]*\})*\}|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+    { type: 'keyword', pattern: /\b(?:as|async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|import|in|instanceof|let|new|of|return|set|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)\b/ },
+    { type: 'boolean', pattern: /\b(?:true|false|null|undefined|NaN|Infinity)\b/ },
+    { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]+)?(?:[eE][+-]?\d+)?n?)\b/ },
+    { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+    { type: 'class-name', pattern: /\b[A-Z][\w$]*/ },
+    { type: null, pattern: /[A-Za-z_$][\w$]*/ },
+    { type: 'operator', pattern: /=>|\.\.\.|[-+*/%=!<>&|^~?:]+/ },
+    { type: 'punctuation', pattern: /[{}[\]();,.]/ }
+];
+
+const TYPESCRIPT_RULES = [
+    { type: 'keyword', pattern: /\b(?:abstract|declare|enum|implements|interface|keyof|namespace|private|protected|public|readonly|satisfies|type)\b/ },
+    { type: 'builtin', pattern: /\b(?:any|bigint|boolean|never|number|object|string|symbol|unknown|void)\b/ }
+].concat(JAVASCRIPT_RULES);
+
+const CSS_RULES = [
+    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+    { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+    { type: 'atrule', pattern: /@[\w-]+/ },
+    { type: 'selector', pattern: /[^{}\s;@][^{};]*?(?=\s*\{)/ },
+    { type: 'property', pattern: /--?[\w-]+(?=\s*:)|[a-zA-Z][\w-]*(?=\s*:)/ },
+    { type: 'important', pattern: /!important\b/i },
+    { type: 'function', pattern: /[\w-]+(?=\()/ },
+    { type: 'number', pattern: /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/ },
+    { type: 'punctuation', pattern: /[{}();:,]/ }
+];
+
+const JSON_RULES = [
+    { type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/ },
+    { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"/ },
+    { type: 'number', pattern: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/ },
+    { type: 'boolean', pattern: /\b(?:true|false|null)\b/ },
+    { type: 'punctuation', pattern: /[{}[\],:]/ }
+];
+
+// Inside double-quoted bash strings only variables are highlighted
+const BASH_STRING_RULES = [
+    { type: 'variable', pattern: /\$(?:\w+|\{[^}]*\}|[@*#?$!0-9-])/ }
+];
+
+const BASH_RULES = [
+    { type: 'comment', pattern: /(?<=^|\s)#.*/ },
+    { type: 'string', pattern: /"(?:\\[\s\S]|\$\([^)]*\)|[^\\"])*"|'[^']*'/, inside: BASH_STRING_RULES },
+    { type: 'variable', pattern: /\$(?:\w+|\{[^}]*\}|[@*#?$!0-9-])/ },
+    { type: 'keyword', pattern: /\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|select|then|until|while)\b/ },
+    { type: 'builtin', pattern: /(?<=^|[\s;|&(])(?:alias|cd|echo|exit|printf|pwd|read|set|shift|source|test|trap|unset|sudo|npm|npx|yarn|node|git|ls|cp|mv|rm|mkdir|cat|grep|curl|chmod)(?=$|[\s;|&)])/ },
+    { type: 'parameter', pattern: /(?<=\s)--?[\w-]+(?:=)?/ },
+    { type: 'number', pattern: /\b\d+\b/ },
+    { type: null, pattern: /[\w.\/-]+/ },
+    { type: 'operator', pattern: /&&|\|\||;;|[|&;<>=]/ },
+    { type: 'punctuation', pattern: /[()[\]{}]/ }
+];
+
+const PYTHON_RULES = [
+    { type: 'comment', pattern: /#.*/ },
+    { type: 'string', pattern: /(?:[rRbBfFuU]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/ },
+    { type: 'decorator', pattern: /@[\w.]+/ },
+    { type: 'keyword', pattern: /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield|match|case)\b/ },
+    { type: 'boolean', pattern: /\b(?:True|False|None)\b/ },
+    { type: 'builtin', pattern: /\b(?:abs|all|any|bool|dict|enumerate|filter|float|input|int|isinstance|len|list|map|max|min|open|print|range|repr|reversed|round|set|sorted|str|sum|super|tuple|type|zip)\b(?=\s*\()/ },
+    { type: 'class-name', pattern: /(?<=\bclass\s+)\w+/ },
+    { type: 'function', pattern: /(?<=\bdef\s+)\w+|\b[A-Za-z_]\w*(?=\s*\()/ },
+    { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.[\d_]*)?(?:[eE][+-]?\d+)?j?)\b/ },
+    { type: null, pattern: /[A-Za-z_]\w*/ },
+    { type: 'operator', pattern: /\*\*=?|\/\/=?|->|:=|[-+*/%=!<>&|^~@]=?/ },
+    { type: 'punctuation', pattern: /[{}[\]();:,.]/ }
+];
+
+const HTML_TAG_RULES = [
+    { type: 'tag', pattern: /^<\/?[\w:-]+/ },
+    { type: 'attr-value', pattern: /(?<==\s*)(?:"[^"]*"|'[^']*'|[^\s>"']+)/ },
+    { type: 'attr-name', pattern: /[^\s>"'=/]+/ },
+    { type: 'punctuation', pattern: /\/?>|=/ }
+];
+
+const HTML_RULES = [
+    { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/ },
+    { type: 'doctype', pattern: /<!DOCTYPE[^>]*>/i },
+    { type: null, pattern: /(?<=<script\b[^>]*>)[\s\S]+?(?=<\/script\s*>)/i, inside: 'javascript' },
+    { type: null, pattern: /(?<=<style\b[^>]*>)[\s\S]+?(?=<\/style\s*>)/i, inside: 'css' },
+    { type: null, pattern: /<\/?[\w:-]+(?:\s+[^\s>"'=/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*\s*\/?>/, inside: HTML_TAG_RULES },
+    { type: 'entity', pattern: /&(?:#\d+|#x[\da-fA-F]+|\w+);/ }
+];
+
+// Rule sets by language name
+const HIGHLIGHT_LANGUAGES = {
+    javascript: JAVASCRIPT_RULES,
+    typescript: TYPESCRIPT_RULES,
+    html: HTML_RULES,
+    css: CSS_RULES,
+    json: JSON_RULES,
+    bash: BASH_RULES,
+    python: PYTHON_RULES
+};
+
+// Other names used in fence info strings
+const HIGHLIGHT_ALIASES = {
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    xml: 'html',
+    svg: 'html',
+    htm: 'html',
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    console: 'bash',
+    py: 'python',
+    json5: 'json'
+};
+
+// Sticky versions of every rule pattern, compiled on first use
+const compiledHighlightRules = new Map();
+
+/**
+ * Resolve a fence language name to a known language
+ * @param {string} language - Language name or alias
+ * @returns {string|null} - Canonical language name, or null if unsupported
+ */
+function resolveHighlightLanguage(language) {
+    if (!language) return null;
+
+    const name = language.toLowerCase();
+    const resolved = HIGHLIGHT_ALIASES[name] || name;
+    return HIGHLIGHT_LANGUAGES[resolved] ? resolved : null;
+}
+
+/**
+ * Split code into tokens
+ * @param {string} code - Source code
+ * @param {Array<Object>|string} rules - Rule set or language name
+ * @returns {Array<Object>} - Tokens of the form { type, value } (type null for plain text)
+ */
+function tokenizeCode(code, rules) {
+    const ruleSet = typeof rules === 'string' ? HIGHLIGHT_LANGUAGES[rules] : rules;
+    const patterns = getCompiledRules(ruleSet);
+    const tokens = [];
+    let plain = '';
+    let pos = 0;
+
+    while (pos < code.length) {
+        let matched = null;
+
+        for (let i = 0; i < ruleSet.length; i++) {
+            patterns[i].lastIndex = pos;
+            const match = patterns[i].exec(code);
+            if (match && match[0]) {
+                matched = { rule: ruleSet[i], value: match[0] };
+                break;
+            }
+        }
+
+        if (!matched) {
+            plain += code[pos];
+            pos++;
+            continue;
+        }
+
+        if (plain) {
+            tokens.push({ type: null, value: plain });
+            plain = '';
+        }
+
+        if (matched.rule.inside) {
+            tokens.push({
+                type: matched.rule.type,
+                value: matched.value,
+                children: tokenizeCode(matched.value, matched.rule.inside)
+            });
+        } else {
+            tokens.push({ type: matched.rule.type, value: matched.value });
+        }
+        pos += matched.value.length;
+    }
+
+    if (plain) {
+        tokens.push({ type: null, value: plain });
+    }
+
+    return tokens;
+}
+
+/**
+ * Get sticky regular expressions for a rule set
+ * Lookbehind assertions still see the text before the current position.
+ * @param {Array<Object>} ruleSet - Rule set
+ * @returns {Array<RegExp>} - Compiled patterns, in rule order
+ */
+function getCompiledRules(ruleSet) {
+    if (!compiledHighlightRules.has(ruleSet)) {
+        compiledHighlightRules.set(ruleSet, ruleSet.map(rule => {
+            const flags = rule.pattern.flags.replace(/[gy]/g, '');
+            return new RegExp(rule.pattern.source, `${flags}y`);
+        }));
+    }
+    return compiledHighlightRules.get(ruleSet);
+}
+
+/**
+ * Highlight code as HTML lines
+ * Each line is closed and reopened around token spans so it can be
+ * wrapped on its own (line numbers, highlighted lines).
+ * @param {string} code - Source code
+ * @param {string} language - Language name or alias
+ * @returns {Array<string>} - One HTML string per source line
+ */
+function highlightCodeLines(code, language) {
+    const resolved = resolveHighlightLanguage(language);
+    if (!resolved) {
+        return code.split('\n').map(escapeCodeHtml);
+    }
+
+    const lines = [''];
+    appendTokens(lines, tokenizeCode(code, resolved), []);
+    return lines;
+}
+
+/**
+ * Highlight code as a single HTML string
+ * Unknown languages come back escaped but otherwise unchanged.
+ * @param {string} code - Source code
+ * @param {string} language - Language name or alias
+ * @returns {string} - HTML string
+ */
+function highlightCode(code, language) {
+    return highlightCodeLines(code, language).join('\n');
+}
+
+/**
+ * Append tokens to HTML lines, splitting spans at line breaks
+ * @param {Array<string>} lines - HTML lines (mutated)
+ * @param {Array<Object>} tokens - Tokens to append
+ * @param {Array<string>} openTypes - Token types of enclosing spans
+ */
+function appendTokens(lines, tokens, openTypes) {
+    tokens.forEach(token => {
+        const types = token.type ? openTypes.concat(token.type) : openTypes;
+
+        if (token.children) {
+            appendTokens(lines, token.children, types);
+            return;
+        }
+
+        token.value.split('\n').forEach((segment, index) => {
+            if (index > 0) lines.push('');
+            if (segment) {
+                lines[lines.length - 1] += wrapToken(escapeCodeHtml(segment), types);
+            }
+        });
+    });
+}
+
+/**
+ * Wrap escaped text in nested token spans
+ * @param {string} html - Escaped text
+ * @param {Array<string>} types - Token types, outermost first
+ * @returns {string} - HTML string
+ */
+function wrapToken(html, types) {
+    return types.reduceRight((inner, type) => `<span class="token ${type}">${inner}</span>`, html);
+}
+
+/**
+ * Escape HTML characters in code
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeCodeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Export the highlighter for Node (build scripts) and the markdown parser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        highlightCode,
+        highlightCodeLines,
+        tokenizeCode,
+        resolveHighlightLanguage,
+        HIGHLIGHT_LANGUAGES
+    };
+}
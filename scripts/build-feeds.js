@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Generate the blog feeds
+ * Writes RSS 2.0 (blog/rss.xml), Atom 1.0 (blog/atom.xml) and JSON Feed 1.1
+ * (blog/feed.json) from the same post metadata the blog renders.
+ *
+ *   node scripts/build-feeds.js [--excerpt-feeds] [--per-category]
+ *
+ * --excerpt-feeds  give only each post's excerpt, not its rendered HTML
+ * --per-category   also write blog/feeds/<category>/{rss.xml,atom.xml,feed.json}
+ */
+
+const path = require('path');
+
+const { ROOT_DIR, readPosts, exitOnPostErrors, writeOutput } = require('./lib/posts.js');
+const { SITE, siteUrl, postUrl } = require('./lib/site.js');
+const { parseMarkdownPost } = require('../assets/js/post-parser.js');
+const { escapeHtml, generateHeaderId } = require('../assets/js/markdown-parser.js');
+
+// Newest posts included in each feed
+const FEED_LIMIT = 20;
+
+const FEED_FILES = {
+    rss: 'rss.xml',
+    atom: 'atom.xml',
+    json: 'feed.json'
+};
+
+/**
+ * Convert the post sources into feed items
+ * @param {Array<Object>} sources - Posts from readPosts, newest first
+ * @param {boolean} fullContent - Include the rendered HTML of each post
+ * @returns {Array<Object>} - Feed items
+ */
+function createFeedItems(sources, fullContent) {
+    return sources.slice(0, FEED_LIMIT).map(source => {
+        const post = source.metadata;
+        const url = postUrl(post.slug);
+
+        return {
+            id: url,
+            url,
+            title: post.title,
+            summary: post.excerpt,
+            date: new Date(post.date),
+            category: post.category,
+            tags: post.tags,
+            html: fullContent
+                ? absolutizeUrls(renderFeedContent(source), url)
+                : null
+        };
+    });
+}
+
+/**
+ * Render the body of a post for feed readers, which have no use for the
+ * heading permalinks
+ * @param {Object} source - Post from readPosts
+ * @returns {string} - Post HTML
+ */
+function renderFeedContent(source) {
+    return parseMarkdownPost(source.markdown, source.slug, { headingAnchors: false }).content;
+}
+
+/**
+ * Make the relative links and images of post HTML absolute, since feed
+ * readers show it outside the site
+ * @param {string} html - Post HTML
+ * @param {string} baseUrl - URL of the post page
+ * @returns {string} - HTML with absolute URLs
+ */
+function absolutizeUrls(html, baseUrl) {
+    return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, value) => {
+        try {
+            const url = new URL(value.replace(/&amp;/g, '&'), baseUrl).href;
+            return `${attribute}="${escapeHtml(url)}"`;
+        } catch (error) {
+            return match;
+        }
+    });
+}
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - { title, description, homeUrl, urls, items }
+ * @returns {string} - XML document
+ */
+function renderRss(feed) {
+    const items = feed.items.map(item => {
+        const categories = [item.category, ...item.tags]
+            .map(name => `      <category>${escapeHtml(name)}</category>`)
+            .join('\n');
+        const content = item.html
+            ? `\n      <content:encoded><![CDATA[${escapeCdata(item.html)}]]></content:encoded>`
+            : '';
+
+        return `    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.url)}</link>
+      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeHtml(item.summary)}</description>${content}
+${categories}
+    </item>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <language>${SITE.language}</language>
+    <atom:link href="${escapeHtml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>${feed.updated ? `
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : ''}
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed - { title, description, homeUrl, urls, items }
+ * @returns {string} - XML document
+ */
+function renderAtom(feed) {
+    const entries = feed.items.map(item => {
+        const categories = [item.category, ...item.tags]
+            .map(name => `    <category term="${escapeHtml(name)}"/>`)
+            .join('\n');
+        const content = item.html
+            ? `\n    <content type="html">${escapeHtml(item.html)}</content>`
+            : '';
+
+        return `  <entry>
+    <title>${escapeHtml(item.title)}</title>
+    <link href="${escapeHtml(item.url)}"/>
+    <id>${escapeHtml(item.id)}</id>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <summary>${escapeHtml(item.summary)}</summary>${content}
+${categories}
+  </entry>`;
+    }).join('\n');
+
+    // Atom requires <updated>; an empty feed falls back to the epoch so the
+    // output stays the same between builds
+    const updated = (feed.updated || new Date(0)).toISOString();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE.language}">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <link href="${escapeHtml(feed.homeUrl)}"/>
+  <link href="${escapeHtml(feed.urls.atom)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeHtml(feed.homeUrl)}</id>
+  <updated>${updated}</updated>
+  <author>
+    <name>${escapeHtml(SITE.author)}</name>
+  </author>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - { title, description, homeUrl, urls, items }
+ * @returns {string} - JSON document
+ */
+function renderJsonFeed(feed) {
+    const jsonFeed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.urls.json,
+        description: feed.description,
+        language: SITE.language,
+        authors: [{ name: SITE.author, url: SITE.url }],
+        items: feed.items.map(item => {
+            const entry = {
+                id: item.id,
+                url: item.url,
+                title: item.title,
+                summary: item.summary,
+                date_published: item.date.toISOString(),
+                tags: [item.category, ...item.tags]
+            };
+            if (item.html) {
+                entry.content_html = item.html;
+            } else {
+                entry.content_text = item.summary;
+            }
+            return entry;
+        })
+    };
+
+    return `${JSON.stringify(jsonFeed, null, 2)}\n`;
+}
+
+/**
+ * Keep ]]> from ending a CDATA section early
+ * @param {string} text - CDATA content
+ * @returns {string} - Safe CDATA content
+ */
+function escapeCdata(text) {
+    return text.replace(/]]>/g, ']]]]><![CDATA[>');
+}
+
+/**
+ * Write the three feed formats into a directory
+ * @param {string} directory - Path below the site root, e.g. 'blog'
+ * @param {Object} details - { title, description, items }
+ */
+function writeFeeds(directory, details) {
+    const urls = {};
+    Object.entries(FEED_FILES).forEach(([format, file]) => {
+        urls[format] = siteUrl(`${directory}/${file}`);
+    });
+
+    const feed = {
+        ...details,
+        homeUrl: siteUrl('blog/'),
+        urls,
+        updated: details.items.length > 0 ? details.items[0].date : null
+    };
+
+    const outputDir = path.join(ROOT_DIR, directory);
+    writeOutput(path.join(outputDir, FEED_FILES.rss), renderRss(feed));
+    writeOutput(path.join(outputDir, FEED_FILES.atom), renderAtom(feed));
+    writeOutput(path.join(outputDir, FEED_FILES.json), renderJsonFeed(feed));
+}
+
+/**
+ * Build the blog feeds
+ * @param {Object} options - { fullContent, perCategory }
+ */
+function buildFeeds({ fullContent = true, perCategory = false } = {}) {
+    const { posts, errors } = readPosts();
+    exitOnPostErrors(errors);
+
+    writeFeeds('blog', {
+        title: SITE.blogTitle,
+        description: SITE.blogDescription,
+        items: createFeedItems(posts, fullContent)
+    });
+
+    if (perCategory) {
+        const categories = [...new Set(posts.map(post => post.metadata.category))];
+        categories.forEach(category => {
+            writeFeeds(`blog/feeds/${generateHeaderId(category)}`, {
+                title: `${category} - ${SITE.blogTitle}`,
+                description: `Posts in ${category} from ${SITE.blogTitle}`,
+                items: createFeedItems(posts.filter(post => post.metadata.category === category), fullContent)
+            });
+        });
+    }
+}
+
+if (require.main === module) {
+    buildFeeds({
+        fullContent: !process.argv.includes('--excerpt-feeds'),
+        perCategory: process.argv.includes('--per-category')
+    });
+}
+
+module.exports = {
+    buildFeeds,
+    FEED_FILES
+};
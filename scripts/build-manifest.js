@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Build the blog post manifest
+ * Scans blog/posts/<slug>/README.md and writes blog/posts/manifest.json
+ * with the metadata, word count and content hash of every post. blog.js
+ * renders the listing from this file, so run the script whenever a post
+ * is added or edited:
+ *
+ *   node scripts/build-manifest.js
+ */
+
+const path = require('path');
+
+const { POSTS_DIR, readPosts, exitOnPostErrors, writeOutput } = require('./lib/posts.js');
+const { findRelatedPosts } = require('./lib/related-posts.js');
+const { postUrl } = require('./lib/site.js');
+
+// Bump when the shape of a manifest entry changes
+const MANIFEST_VERSION = 5;
+
+/**
+ * Create the manifest entry of a post
+ * @param {Object} post - Post from readPosts
+ * @param {Array<string>} related - Slugs of the posts to recommend under it
+ * @returns {Object} - Manifest entry; `url` is the public URL of the post,
+ *          which blog.js uses as its canonical URL
+ */
+function createManifestEntry(post, related = []) {
+    const { slug, title, date, category, tags, excerpt, series, seriesOrder, wordCount, codeBlockCount, headingCount, readingTime } = post.metadata;
+
+    return {
+        slug,
+        url: postUrl(slug),
+        title,
+        date,
+        category,
+        tags,
+        excerpt,
+        series,
+        seriesOrder,
+        wordCount,
+        codeBlockCount,
+        headingCount,
+        readingTime,
+        related,
+        hash: post.hash
+    };
+}
+
+/**
+ * Build the manifest
+ * @returns {Object} - Manifest object
+ */
+function buildManifest() {
+    const { posts, errors } = readPosts();
+    exitOnPostErrors(errors);
+
+    const { related, errors: relatedErrors } = findRelatedPosts(posts);
+    exitOnPostErrors(relatedErrors);
+
+    return {
+        version: MANIFEST_VERSION,
+        posts: posts.map(post => createManifestEntry(post, related.get(post.slug)))
+    };
+}
+
+/**
+ * Build the manifest and write it to blog/posts/manifest.json
+ */
+function writeManifest() {
+    const manifest = buildManifest();
+    writeOutput(path.join(POSTS_DIR, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+if (require.main === module) {
+    writeManifest();
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    buildManifest,
+    createManifestEntry,
+    writeManifest
+};
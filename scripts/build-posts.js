@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Pre-render the post pages
+ * Fills scripts/templates/post.html with each post's frontmatter and
+ * rendered markdown and writes blog/<slug>.html, so the header, meta tags
+ * and body are in the HTML that browsers and search engines receive.
+ *
+ *   node scripts/build-posts.js                  # pre-render every post
+ *   node scripts/build-posts.js --client-render  # write shells that load
+ *                                                # README.md in the browser
+ */
+
+const path = require('path');
+
+const { BLOG_DIR, readPosts, exitOnPostErrors, writeOutput } = require('./lib/posts.js');
+const { SITE, siteUrl, postUrl } = require('./lib/site.js');
+const { renderTemplate, readTemplate } = require('./lib/template.js');
+const {
+    parseMarkdownPost,
+    createPostStructuredData,
+    serializeStructuredData,
+    getPostNavigation,
+    createSeriesHtml,
+    createAdjacentPostsHtml
+} = require('../assets/js/post-parser.js');
+const { formatPostStats } = require('../assets/js/post-stats.js');
+const { escapeHtml, generateHeaderId } = require('../assets/js/markdown-parser.js');
+
+const TEMPLATE_PATH = path.join(__dirname, 'templates', 'post.html');
+
+// Shown by client-rendered pages until blog.js has loaded the post
+const LOADING_HTML = `                    <div class="loading">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        <p>Loading post content...</p>
+                    </div>`;
+
+/**
+ * Format a frontmatter date the way the blog displays it
+ * @param {string} date - YYYY-MM-DD date
+ * @returns {string} - e.g. "August 14, 2025"
+ */
+function formatPostDate(date) {
+    // Frontmatter dates are calendar days, so format them in UTC
+    return new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Indent every non-empty line of an HTML fragment
+ * @param {string} html - HTML fragment
+ * @param {number} spaces - Spaces to add
+ * @returns {string} - Indented HTML
+ */
+function indentHtml(html, spaces) {
+    return html.split('\n').map(line => (line ? `${' '.repeat(spaces)}${line}` : line)).join('\n');
+}
+
+/**
+ * Collect the template values of a post
+ * @param {Object} source - Post from readPosts
+ * @param {boolean} prerender - Whether to render the body into the page
+ * @param {Array<Object>} posts - Metadata of every post, for the series
+ *        and previous/next links
+ * @returns {Object} - Template values
+ */
+function getPostPageValues(source, prerender, posts) {
+    const post = prerender
+        ? parseMarkdownPost(source.markdown, source.slug)
+        : source.metadata;
+    const navigation = getPostNavigation(post, posts);
+    const url = postUrl(post.slug);
+    const structuredData = createPostStructuredData(post, {
+        url,
+        author: SITE.author,
+        blogUrl: siteUrl('blog/')
+    });
+
+    return {
+        language: post.language || SITE.language,
+        siteTitle: SITE.title,
+        blogTitle: SITE.blogTitle,
+        author: SITE.author,
+        pageTitle: `${post.title} - ${SITE.author}`,
+        title: post.title,
+        description: post.excerpt,
+        keywords: post.tags.join(', '),
+        url,
+        structuredData: serializeStructuredData(structuredData),
+        slug: post.slug,
+        date: post.date,
+        formattedDate: formatPostDate(post.date),
+        category: post.category,
+        readingTime: post.readingTime,
+        stats: formatPostStats(post),
+        articleTags: post.tags
+            .map(tag => `    <meta property="article:tag" content="${escapeHtml(tag)}">`)
+            .join('\n'),
+        tags: post.tags
+            .map(tag => `                        <a href="./?tag=${encodeURIComponent(generateHeaderId(tag))}" class="post-tag">${escapeHtml(tag)}</a>`)
+            .join('\n'),
+        series: indentHtml(createSeriesHtml(navigation.series), 16),
+        adjacentPosts: indentHtml(createAdjacentPostsHtml(navigation), 20),
+        prerendered: String(prerender),
+        body: prerender ? post.content : LOADING_HTML
+    };
+}
+
+/**
+ * Write the page of every post
+ * @param {Object} options - { prerender }
+ */
+function buildPostPages({ prerender = true } = {}) {
+    const { posts, errors } = readPosts();
+    exitOnPostErrors(errors);
+
+    const template = readTemplate(TEMPLATE_PATH);
+    const metadata = posts.map(source => source.metadata);
+
+    posts.forEach(source => {
+        const html = renderTemplate(template, getPostPageValues(source, prerender, metadata));
+        writeOutput(path.join(BLOG_DIR, `${source.slug}.html`), html);
+    });
+}
+
+if (require.main === module) {
+    buildPostPages({ prerender: !process.argv.includes('--client-render') });
+}
+
+module.exports = {
+    buildPostPages,
+    formatPostDate
+};
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Build the blog search index
+ * Indexes the title, tags, headings and full text of every post and writes
+ * blog/posts/search-index.json, which blog.js loads for the search box.
+ * Without it the blog falls back to searching the manifest (titles, tags
+ * and excerpts only).
+ *
+ *   node scripts/build-search-index.js
+ */
+
+const path = require('path');
+
+const { POSTS_DIR, readPosts, exitOnPostErrors, writeOutput } = require('./lib/posts.js');
+const { parseFrontmatter } = require('../assets/js/frontmatter.js');
+const { createSearchDocument, buildSearchIndex } = require('../assets/js/search.js');
+
+/**
+ * Build the search index of every post
+ * @returns {Object} - Search index (see buildSearchIndex)
+ */
+function buildPostSearchIndex() {
+    const { posts, errors } = readPosts();
+    exitOnPostErrors(errors);
+
+    return buildSearchIndex(posts.map(source => {
+        const { content } = parseFrontmatter(source.markdown);
+        return createSearchDocument(source.metadata, content);
+    }));
+}
+
+/**
+ * Build the search index and write it to blog/posts/search-index.json
+ */
+function writeSearchIndex() {
+    const index = buildPostSearchIndex();
+    writeOutput(path.join(POSTS_DIR, 'search-index.json'), `${JSON.stringify(index)}\n`);
+}
+
+if (require.main === module) {
+    writeSearchIndex();
+}
+
+module.exports = {
+    buildPostSearchIndex,
+    writeSearchIndex
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Generate sitemap.xml and robots.txt
+ * The sitemap lists the portfolio page, the blog index and every post,
+ * with lastmod taken from the post frontmatter (`updated`, else `date`).
+ *
+ *   node scripts/build-sitemap.js [--tag-pages]
+ *
+ * --tag-pages  also list blog/tags/<tag> (see build-tag-pages.js)
+ */
+
+const path = require('path');
+
+const { ROOT_DIR, readPosts, exitOnPostErrors, writeOutput } = require('./lib/posts.js');
+const { siteUrl, postUrl } = require('./lib/site.js');
+const { tagPageUrl } = require('./build-tag-pages.js');
+const { collectPostTags } = require('../assets/js/post-parser.js');
+const { escapeHtml, generateHeaderId } = require('../assets/js/markdown-parser.js');
+
+/**
+ * Collect the sitemap entries
+ * @param {Array<Object>} sources - Posts from readPosts, newest first
+ * @param {boolean} tagPages - Include the tag pages
+ * @returns {Array<Object>} - [{ url, lastmod }]
+ */
+function createSitemapEntries(sources, tagPages) {
+    const posts = sources.map(source => ({
+        url: postUrl(source.slug),
+        lastmod: toW3cDate(source.metadata.updated || source.metadata.date)
+    }));
+
+    // The blog index changes whenever a post does
+    const latest = posts.map(post => post.lastmod).sort().pop() || null;
+
+    const tags = !tagPages ? [] : collectPostTags(sources.map(source => source.metadata)).map(tag => {
+        // A tag page changes with its newest tagged post
+        const lastmod = sources
+            .filter(source => source.metadata.tags.some(name => generateHeaderId(name) === tag.slug))
+            .map(source => toW3cDate(source.metadata.updated || source.metadata.date))
+            .sort()
+            .pop();
+        return { url: tagPageUrl(tag.slug), lastmod };
+    });
+
+    return [
+        { url: siteUrl(), lastmod: null },
+        { url: siteUrl('blog/'), lastmod: latest },
+        ...posts,
+        ...tags
+    ];
+}
+
+/**
+ * Convert a frontmatter date to the W3C format sitemaps expect
+ * @param {string} value - YYYY-MM-DD, optionally with a time
+ * @returns {string} - YYYY-MM-DD or a full ISO timestamp
+ */
+function toW3cDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    return new Date(value.replace(' ', 'T')).toISOString();
+}
+
+/**
+ * Render the sitemap
+ * @param {Array<Object>} entries - [{ url, lastmod }]
+ * @returns {string} - XML document
+ */
+function renderSitemap(entries) {
+    const urls = entries.map(entry => {
+        const lastmod = entry.lastmod ? `\n    <lastmod>${escapeHtml(entry.lastmod)}</lastmod>` : '';
+        return `  <url>
+    <loc>${escapeHtml(entry.url)}</loc>${lastmod}
+  </url>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+/**
+ * Render robots.txt pointing crawlers at the sitemap
+ * @returns {string} - robots.txt content
+ */
+function renderRobots() {
+    return `User-agent: *
+Allow: /
+Disallow: /scripts/
+
+Sitemap: ${siteUrl('sitemap.xml')}
+`;
+}
+
+/**
+ * Write sitemap.xml and robots.txt to the site root
+ * @param {Object} options - { tagPages }
+ */
+function buildSitemap({ tagPages = false } = {}) {
+    const { posts, errors } = readPosts();
+    exitOnPostErrors(errors);
+
+    writeOutput(path.join(ROOT_DIR, 'sitemap.xml'), renderSitemap(createSitemapEntries(posts, tagPages)));
+    writeOutput(path.join(ROOT_DIR, 'robots.txt'), renderRobots());
+}
+
+if (require.main === module) {
+    buildSitemap({ tagPages: process.argv.includes('--tag-pages') });
+}
+
+module.exports = {
+    buildSitemap
+};
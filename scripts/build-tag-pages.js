@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Generate a static page per tag
+ * Writes blog/tags/<tag>.html listing every post with that tag, for
+ * readers without JavaScript and for search engines. The blog itself
+ * filters by tag in the browser (blog/?tag=<tag>) and does not need them.
+ *
+ *   node scripts/build-tag-pages.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { BLOG_DIR, readPosts, exitOnPostErrors, writeOutput } = require('./lib/posts.js');
+const { SITE, siteUrl } = require('./lib/site.js');
+const { renderTemplate, readTemplate } = require('./lib/template.js');
+const { formatPostDate } = require('./build-posts.js');
+const { collectPostTags } = require('../assets/js/post-parser.js');
+const { formatPostStats } = require('../assets/js/post-stats.js');
+const { escapeHtml, generateHeaderId } = require('../assets/js/markdown-parser.js');
+
+const TEMPLATE_PATH = path.join(__dirname, 'templates', 'tag.html');
+const TAGS_DIR = path.join(BLOG_DIR, 'tags');
+
+/**
+ * Get the public URL of a tag page
+ * @param {string} slug - Tag slug
+ * @returns {string} - Absolute URL
+ */
+function tagPageUrl(slug) {
+    return siteUrl(`blog/tags/${encodeURIComponent(slug)}.html`);
+}
+
+/**
+ * Render a post card, with the same markup blog.js uses for the listing
+ * @param {Object} post - Post metadata
+ * @returns {string} - HTML string
+ */
+function renderPostCard(post) {
+    const postHref = `../${encodeURIComponent(post.slug)}.html`;
+    const tags = post.tags.map(tag => {
+        const slug = generateHeaderId(tag);
+        return `<a href="./${encodeURIComponent(slug)}.html" class="post-tag">${escapeHtml(tag)}</a>`;
+    }).join('');
+
+    return `                        <article class="post-card">
+                            <div class="post-meta">
+                                <span class="post-category">${escapeHtml(post.category)}</span>
+                                <span class="post-date">
+                                    <i class="fas fa-calendar"></i>
+                                    <time datetime="${escapeHtml(post.date)}">${escapeHtml(formatPostDate(post.date))}</time>
+                                </span>
+                                <span class="post-reading-time" title="${formatPostStats(post)}">
+                                    <i class="fas fa-clock"></i>
+                                    ${post.readingTime} min read
+                                </span>
+                            </div>
+                            <h2 class="post-title">
+                                <a href="${postHref}">${escapeHtml(post.title)}</a>
+                            </h2>
+                            <p class="post-excerpt">${escapeHtml(post.excerpt)}</p>
+                            <div class="post-tags">${tags}</div>
+                            <a href="${postHref}" class="read-more">
+                                Read More <i class="fas fa-arrow-right"></i>
+                            </a>
+                        </article>`;
+}
+
+/**
+ * Render the tag cloud linking every tag page
+ * @param {Array<Object>} tags - From collectPostTags
+ * @param {string} currentSlug - Slug of the page's own tag
+ * @returns {string} - HTML string
+ */
+function renderTagCloud(tags, currentSlug) {
+    return tags.map(tag => {
+        const active = tag.slug === currentSlug ? ' active' : '';
+        const current = tag.slug === currentSlug ? ' aria-current="page"' : '';
+        return `                            <a href="./${encodeURIComponent(tag.slug)}.html" class="tag-cloud-item tag-weight-${tag.weight}${active}"${current}>${escapeHtml(tag.name)}</a>`;
+    }).join('\n');
+}
+
+/**
+ * Write the page of every tag
+ * blog/tags/ is emptied first so tags no longer in use lose their page.
+ * @returns {Array<string>} - Slugs of the tags that got a page
+ */
+function buildTagPages() {
+    const { posts, errors } = readPosts();
+    exitOnPostErrors(errors);
+
+    const template = readTemplate(TEMPLATE_PATH);
+    const metadata = posts.map(post => post.metadata);
+    const tags = collectPostTags(metadata);
+
+    fs.rmSync(TAGS_DIR, { recursive: true, force: true });
+    tags.forEach(tag => {
+        const tagged = metadata.filter(post => post.tags.some(name => generateHeaderId(name) === tag.slug));
+        const html = renderTemplate(template, {
+            language: SITE.language,
+            siteTitle: SITE.title,
+            blogTitle: SITE.blogTitle,
+            author: SITE.author,
+            pageTitle: `Posts tagged "${tag.name}" - ${SITE.blogTitle}`,
+            description: `Posts about ${tag.name} from ${SITE.blogTitle}`,
+            url: tagPageUrl(tag.slug),
+            tagName: tag.name,
+            tagParam: encodeURIComponent(tag.slug),
+            postCount: `${tagged.length} post${tagged.length === 1 ? '' : 's'}`,
+            posts: tagged.map(renderPostCard).join('\n'),
+            tagCloud: renderTagCloud(tags, tag.slug)
+        });
+        writeOutput(path.join(TAGS_DIR, `${tag.slug}.html`), html);
+    });
+
+    return tags.map(tag => tag.slug);
+}
+
+if (require.main === module) {
+    buildTagPages();
+}
+
+module.exports = {
+    buildTagPages,
+    tagPageUrl
+};
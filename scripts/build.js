@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Run every blog build step: the post manifest, the search index, the
+ * pre-rendered post pages, the feeds and the sitemap, plus the tag pages
+ * when asked for
+ *
+ *   node scripts/build.js [--client-render] [--excerpt-feeds] [--per-category] [--tag-pages]
+ */
+
+const { writeManifest } = require('./build-manifest.js');
+const { writeSearchIndex } = require('./build-search-index.js');
+const { buildPostPages } = require('./build-posts.js');
+const { buildFeeds } = require('./build-feeds.js');
+const { buildTagPages } = require('./build-tag-pages.js');
+const { buildSitemap } = require('./build-sitemap.js');
+
+const args = process.argv.slice(2);
+
+writeManifest();
+writeSearchIndex();
+buildPostPages({ prerender: !args.includes('--client-render') });
+buildFeeds({
+    fullContent: !args.includes('--excerpt-feeds'),
+    perCategory: args.includes('--per-category')
+});
+
+const tagPages = args.includes('--tag-pages');
+if (tagPages) {
+    buildTagPages();
+}
+buildSitemap({ tagPages });
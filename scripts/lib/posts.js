@@ -0,0 +1,101 @@
+/**
+ * Shared helpers for the blog build scripts
+ * Reads every blog/posts/<slug>/README.md with the same parser the
+ * browser uses.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { parsePostMetadata } = require('../../assets/js/post-parser.js');
+
+// Repository layout
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const POSTS_DIR = path.join(BLOG_DIR, 'posts');
+
+/**
+ * Find the slugs of all posts (directories holding a README.md)
+ * @returns {Array<string>} - Slugs in alphabetical order
+ */
+function findPostSlugs() {
+    return fs.readdirSync(POSTS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .filter(slug => fs.existsSync(path.join(POSTS_DIR, slug, 'README.md')))
+        .sort();
+}
+
+/**
+ * Read and parse every post
+ * Posts whose frontmatter does not validate are returned in `errors`
+ * instead of `posts`.
+ * @returns {Object} - { posts, errors } with posts sorted newest first;
+ *          each post is { slug, markdown, hash, metadata }
+ */
+function readPosts() {
+    const posts = [];
+    const errors = [];
+
+    findPostSlugs().forEach(slug => {
+        const markdown = fs.readFileSync(path.join(POSTS_DIR, slug, 'README.md'), 'utf8');
+
+        try {
+            posts.push({
+                slug,
+                markdown,
+                hash: hashContent(markdown),
+                metadata: parsePostMetadata(markdown, slug)
+            });
+        } catch (error) {
+            errors.push(error);
+        }
+    });
+
+    posts.sort((a, b) => new Date(b.metadata.date) - new Date(a.metadata.date));
+    return { posts, errors };
+}
+
+/**
+ * Hash post content so clients can tell when a post changed
+ * @param {string} content - Raw file content
+ * @returns {string} - First 16 hex characters of the SHA-256 digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Print post errors and exit when there are any
+ * @param {Array<Error>} errors - Errors from readPosts
+ */
+function exitOnPostErrors(errors) {
+    if (errors.length === 0) return;
+
+    errors.forEach(error => console.error(error.message));
+    console.error(`\n${errors.length} post(s) failed to parse; nothing was written.`);
+    process.exit(1);
+}
+
+/**
+ * Write a file, creating its directory, and log the path
+ * @param {string} filePath - Absolute path
+ * @param {string} content - File content
+ */
+function writeOutput(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    console.log(`Wrote ${path.relative(ROOT_DIR, filePath)}`);
+}
+
+module.exports = {
+    ROOT_DIR,
+    BLOG_DIR,
+    POSTS_DIR,
+    findPostSlugs,
+    readPosts,
+    hashContent,
+    exitOnPostErrors,
+    writeOutput
+};
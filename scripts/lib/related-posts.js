@@ -0,0 +1,138 @@
+/**
+ * Related post recommendations for the build scripts
+ * Scores every pair of posts by their shared tags, a shared category and
+ * the overlap of their content terms, then applies the pinRelated and
+ * excludeRelated frontmatter fields. build-manifest.js stores the result
+ * in the manifest, where blog.js picks it up for the post pages.
+ */
+
+const { parseFrontmatter } = require('../../assets/js/frontmatter.js');
+const { generateHeaderId } = require('../../assets/js/markdown-parser.js');
+const { analyzeText, createSearchDocument } = require('../../assets/js/search.js');
+
+// Posts recommended under each post
+const RELATED_POSTS_COUNT = 3;
+
+// What each signal adds to the score of a candidate
+const RELATED_WEIGHTS = {
+    tag: 2, // Per shared tag
+    category: 1, // Same category
+    terms: 4 // Times the cosine similarity (0 to 1) of the content terms
+};
+
+/**
+ * Find the related posts of every post
+ * Pinned posts come first, in the order given; the remaining places go to
+ * the best-scoring posts that are not excluded, newest first on a tie.
+ * Posts with nothing in common are never recommended.
+ * @param {Array<Object>} posts - Posts from readPosts, newest first
+ * @returns {Object} - { related, errors }: related maps each slug to the
+ *          slugs to recommend; errors lists posts that pin or exclude a
+ *          post that does not exist
+ */
+function findRelatedPosts(posts) {
+    const slugs = new Set(posts.map(post => post.slug));
+    const vectors = createTermVectors(posts);
+    const related = new Map();
+    const errors = [];
+
+    posts.forEach((source, index) => {
+        const post = source.metadata;
+        const pinned = post.pinRelated || [];
+        const excluded = post.excludeRelated || [];
+
+        const problems = [
+            ...pinned.filter(slug => !slugs.has(slug)).map(slug => `Field "pinRelated" names unknown post "${slug}"`),
+            ...excluded.filter(slug => !slugs.has(slug)).map(slug => `Field "excludeRelated" names unknown post "${slug}"`)
+        ];
+        if (problems.length > 0) {
+            const error = new Error(`Invalid frontmatter in post "${post.slug}":\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+            error.slug = post.slug;
+            error.problems = problems;
+            errors.push(error);
+            return;
+        }
+
+        const picks = pinned.filter(slug => slug !== post.slug);
+        const candidates = posts
+            .map((other, otherIndex) => ({
+                slug: other.slug,
+                score: scoreRelatedPost(post, other.metadata, vectors[index], vectors[otherIndex])
+            }))
+            .filter(candidate => candidate.slug !== post.slug && candidate.score > 0 &&
+                !picks.includes(candidate.slug) && !excluded.includes(candidate.slug))
+            // Array.prototype.sort is stable, so ties keep the newest-first order
+            .sort((a, b) => b.score - a.score);
+
+        related.set(post.slug, [...picks, ...candidates.map(candidate => candidate.slug)].slice(0, RELATED_POSTS_COUNT));
+    });
+
+    return { related, errors };
+}
+
+/**
+ * Score how related two posts are
+ * @param {Object} post - Post metadata
+ * @param {Object} other - Metadata of the candidate
+ * @param {Map} vector - Term vector of the post
+ * @param {Map} otherVector - Term vector of the candidate
+ * @returns {number} - 0 when they have nothing in common
+ */
+function scoreRelatedPost(post, other, vector, otherVector) {
+    const tags = new Set(post.tags.map(generateHeaderId));
+    const sharedTags = new Set(other.tags.map(generateHeaderId).filter(tag => tags.has(tag))).size;
+
+    let similarity = 0;
+    vector.forEach((weight, term) => {
+        similarity += weight * (otherVector.get(term) || 0);
+    });
+
+    return sharedTags * RELATED_WEIGHTS.tag +
+        (post.category === other.category ? RELATED_WEIGHTS.category : 0) +
+        similarity * RELATED_WEIGHTS.terms;
+}
+
+/**
+ * Turn the title, headings and text of every post into a TF-IDF vector of
+ * unit length, so the dot product of two vectors is their cosine similarity
+ * @param {Array<Object>} posts - Posts from readPosts
+ * @returns {Array<Map>} - term -> weight, in post order
+ */
+function createTermVectors(posts) {
+    const counts = posts.map(source => {
+        const { content } = parseFrontmatter(source.markdown);
+        const searchDocument = createSearchDocument(source.metadata, content);
+        const terms = new Map();
+
+        [searchDocument.title, ...searchDocument.headings, ...searchDocument.paragraphs].forEach(text => {
+            analyzeText(text).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+        });
+        return terms;
+    });
+
+    const documentFrequency = new Map();
+    counts.forEach(terms => {
+        terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    return counts.map(terms => {
+        const vector = new Map();
+        terms.forEach((count, term) => {
+            // Terms that every post uses say nothing about relatedness
+            const weight = (1 + Math.log(count)) * Math.log(posts.length / documentFrequency.get(term));
+            if (weight > 0) {
+                vector.set(term, weight);
+            }
+        });
+
+        const length = Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+        vector.forEach((weight, term) => vector.set(term, weight / length));
+        return vector;
+    });
+}
+
+module.exports = {
+    RELATED_POSTS_COUNT,
+    RELATED_WEIGHTS,
+    findRelatedPosts
+};
@@ -0,0 +1,38 @@
+/**
+ * Site settings used by the build scripts for absolute URLs and metadata
+ */
+
+const SITE = {
+    title: 'Your Name',
+    author: 'Your Name',
+    blogTitle: 'Blog - Your Name',
+    blogDescription: 'Personal blog about web development, programming, and technology',
+    url: 'https://yourusername.github.io',
+    language: 'en'
+};
+
+/**
+ * Build the absolute URL of a page on the site
+ * @param {string} pathname - Path from the site root, e.g. 'blog/my-post.html'
+ * @returns {string} - Absolute URL
+ */
+function siteUrl(pathname = '') {
+    return `${SITE.url}/${pathname.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Get the public URL of a post
+ * The same blog/<slug>.html path the site links to, so canonical URLs,
+ * the sitemap and the feeds name the page readers actually get.
+ * @param {string} slug - Post slug
+ * @returns {string} - Absolute URL
+ */
+function postUrl(slug) {
+    return siteUrl(`blog/${encodeURIComponent(slug)}.html`);
+}
+
+module.exports = {
+    SITE,
+    siteUrl,
+    postUrl
+};
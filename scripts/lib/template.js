@@ -0,0 +1,39 @@
+/**
+ * Minimal HTML templating for the build scripts
+ * {{name}} inserts an escaped value and {{{name}}} inserts raw HTML.
+ */
+
+const fs = require('fs');
+
+const { escapeHtml } = require('../../assets/js/markdown-parser.js');
+
+/**
+ * Fill a template with values
+ * @param {string} template - Template text
+ * @param {Object} values - Values by placeholder name
+ * @returns {string} - Filled template
+ * @throws {Error} - When a placeholder has no value, so typos fail the build
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{\{(\{)?\s*([\w.]+)\s*\}?\}\}/g, (match, raw, name) => {
+        if (!Object.prototype.hasOwnProperty.call(values, name)) {
+            throw new Error(`Template placeholder "${name}" has no value`);
+        }
+        const value = String(values[name]);
+        return raw ? value : escapeHtml(value);
+    });
+}
+
+/**
+ * Read a template file
+ * @param {string} filePath - Absolute path
+ * @returns {string} - Template text
+ */
+function readTemplate(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+}
+
+module.exports = {
+    renderTemplate,
+    readTemplate
+};
@@ -0,0 +1,202 @@
+/**
+ * Service worker for offline reading
+ * Precaches the app shell, keeps visited pages and post data
+ * (README.md, manifest, search index) for offline use and serves
+ * offline.html when a page was never cached. Posts saved with the
+ * "Save for offline" button live in their own cache, which survives
+ * service worker updates.
+ */
+
+// Bump SHELL_VERSION when the list below changes; old shell and runtime
+// caches are deleted when the new worker activates
+const SHELL_VERSION = 5;
+const CACHE_PREFIX = 'offline-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v${SHELL_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v${SHELL_VERSION}`;
+const SAVED_CACHE = `${CACHE_PREFIX}saved-posts`; // Also used by blog.js
+
+// Paths are relative to this file, so the site also works from a subpath
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'offline.html',
+    'blog/',
+    'blog/index.html',
+    'assets/css/style.css',
+    'assets/js/main.js',
+    'assets/js/syntax-highlighter.js',
+    'assets/js/frontmatter.js',
+    'assets/js/markdown-parser.js',
+    'assets/js/post-stats.js',
+    'assets/js/post-parser.js',
+    'assets/js/post-cache.js',
+    'assets/js/search.js',
+    'assets/js/router.js',
+    'assets/js/blog.js'
+];
+
+const OFFLINE_PAGE = 'offline.html';
+
+// The blog page renders any post in place from its README.md (BLOG_ROUTES
+// in blog.js), so it stands in for post pages that were never cached
+const BLOG_SHELL = 'blog/index.html';
+const POST_PAGE_PATTERN = /^blog\/(?!index\.html$)[a-z0-9][a-z0-9_-]*\.html$/i;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, RUNTIME_CACHE, SAVED_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    // Fonts and icons from CDNs are left to the browser cache
+    if (new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, true));
+    } else if (request.cache === 'no-cache') {
+        // post-cache.js revalidating its own copy: a stale answer from here
+        // would keep the page a visit behind while online
+        event.respondWith(networkFirst(request, false));
+    } else {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Answer from the network, falling back to a cached copy when offline
+ * Pages are cached as they are visited. A post page that never was gets
+ * the cached blog page, which renders the post from its README.md; any
+ * other page gets the offline page. The blog page also answers for post
+ * pages the server does not have, as 404.html does on GitHub Pages.
+ * @param {Request} request - Request
+ * @param {boolean} isPage - Whether this is a page navigation
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, isPage) {
+    try {
+        const response = await fetch(request);
+        if (isPage && response.status === 404) {
+            const shell = await findBlogShell(request);
+            if (shell) return shell;
+        }
+        if (response.ok) {
+            const cached = await findCachedResponse(request);
+            await storeResponse(cached ? cached.cacheName : RUNTIME_CACHE, request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // ?page=2 or ?tag=css are the same page as far as the cache goes
+        const cached = await findCachedResponse(request, { ignoreSearch: isPage });
+        if (cached) return cached.response;
+        if (isPage) return (await findBlogShell(request)) || createOfflineResponse();
+        throw error;
+    }
+}
+
+/**
+ * Find the cached blog page for a post page request
+ * The blog page is served at the post's URL, where its router opens the
+ * post.
+ * @param {Request} request - Page request
+ * @returns {Promise<Response|null>} - null for other pages, or when the
+ *          blog page is not cached
+ */
+async function findBlogShell(request) {
+    const root = new URL('./', self.location).pathname;
+    const path = decodeURIComponent(new URL(request.url).pathname.slice(root.length));
+    if (!POST_PAGE_PATTERN.test(path)) return null;
+
+    const cached = await findCachedResponse(new Request(new URL(BLOG_SHELL, self.location).href));
+    return cached ? cached.response : null;
+}
+
+/**
+ * Create the offline page response
+ * The page is shown at the URL that failed, so a <base> pointing at the
+ * site root keeps its relative links and styles working and "Try Again"
+ * reloads the page the reader asked for.
+ * @returns {Promise<Response>}
+ */
+async function createOfflineResponse() {
+    const cached = await caches.match(new URL(OFFLINE_PAGE, self.location).href);
+    const html = await cached.text();
+    const root = new URL('./', self.location).href;
+
+    return new Response(html.replace('<head>', `<head>\n    <base href="${root}">`), {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}
+
+/**
+ * Answer from the cache at once and refresh the cached copy in the
+ * background; fetch from the network when nothing is cached
+ * As in networkFirst, a fresh copy goes back to the cache it came
+ * from, so saved posts and the shell stay up to date.
+ * @param {FetchEvent} event - Fetch event, kept alive for the refresh
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request) {
+    const cached = await findCachedResponse(request);
+    const refresh = fetch(request).then(async response => {
+        if (response.ok) {
+            await storeResponse(cached ? cached.cacheName : RUNTIME_CACHE, request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached.response;
+    }
+
+    return refresh;
+}
+
+/**
+ * Look a request up in the saved, shell and runtime caches, in that order
+ * @param {Request} request - Request
+ * @param {Object} options - Cache.match() options
+ * @returns {Promise<Object|null>} - { cacheName, response }
+ */
+async function findCachedResponse(request, options = {}) {
+    for (const cacheName of [SAVED_CACHE, SHELL_CACHE, RUNTIME_CACHE]) {
+        const cache = await caches.open(cacheName);
+        const response = await cache.match(request.url, options);
+        if (response) {
+            return { cacheName, response };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Store a response under the URL of its request
+ * Keying by URL drops the page's conditional headers from the cache key.
+ * @param {string} cacheName - Cache to write to
+ * @param {Request} request - Request
+ * @param {Response} response - Response to store
+ */
+async function storeResponse(cacheName, request, response) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request.url, response);
+}